@@ -7,8 +7,11 @@ const CHUNK_HEIGHT = 64;
 const VIEW_DISTANCE = 2;
 
 export class ChunkManager {
-    constructor(scene) {
+    constructor(scene, { seed = 0, profiler = null, physics = null } = {}) {
         this.scene = scene;
+        this.seed = seed; // Terrain seed shared by every chunk
+        this.profiler = profiler; // Optional engine Profiler; meshing shows up under 'chunks'
+        this.physics = physics; // Optional PhysicsSystem; loaded chunks get terrain collision
         this.chunks = new Map(); // key: "cx,cz" -> {entity, chunk, mesh}
         this.elevationService = new ElevationService();
         this.loadingChunks = new Set(); // Track chunks currently being generated
@@ -34,10 +37,11 @@ export class ChunkManager {
         }
 
         // Unload distant chunks
-        for (const [key, { entity, mesh }] of this.chunks) {
+        for (const [key, { chunk, mesh }] of this.chunks) {
             const [ccx, ccz] = key.split(',').map(Number);
             if (Math.abs(ccx - cx) > VIEW_DISTANCE || Math.abs(ccz - cz) > VIEW_DISTANCE) {
                 this.scene.remove(mesh);
+                this.physics?.removeVoxelChunk(chunk);
                 this.chunks.delete(key);
             }
         }
@@ -45,9 +49,11 @@ export class ChunkManager {
 
     async _generateChunk(chunkX, chunkZ, key) {
         try {
-            const chunk = new VoxelChunk(CHUNK_SIZE, CHUNK_HEIGHT, this.elevationService, chunkX, chunkZ);
+            const chunk = new VoxelChunk(CHUNK_SIZE, CHUNK_HEIGHT, this.elevationService, chunkX, chunkZ, this.seed);
             await chunk._initTerrain(); // Wait for terrain generation
-            const mesh = chunk.buildMesh();
+            const mesh = this.profiler
+                ? this.profiler.measure('chunks', 'buildMesh', () => chunk.buildMesh())
+                : chunk.buildMesh();
             // Position the chunk at its world coordinates
             mesh.position.set(chunkX * CHUNK_SIZE, 0, chunkZ * CHUNK_SIZE);
             const entity = createEntity();
@@ -56,6 +62,7 @@ export class ChunkManager {
 
             this.chunks.set(key, { entity, chunk, mesh });
             this.scene.add(mesh);
+            this.physics?.addVoxelChunk(chunk, { x: chunkX * CHUNK_SIZE, y: 0, z: chunkZ * CHUNK_SIZE });
         } catch (error) {
             console.error('Failed to generate chunk:', error);
         } finally {
@@ -63,10 +70,42 @@ export class ChunkManager {
         }
     }
 
+    // Block access in world block coordinates; getBlock returns null and setBlock
+    // false outside loaded chunks
+    getBlock(x, y, z) {
+        const entry = this._chunkAt(x, z);
+        return entry ? entry.chunk.getBlock(x - entry.originX, y, z - entry.originZ) : null;
+    }
+
+    // Change a block and rebuild its chunk mesh; the collision follows on the next physics step
+    setBlock(x, y, z, id) {
+        const entry = this._chunkAt(x, z);
+        if (!entry || y < 0 || y >= CHUNK_HEIGHT) return false;
+
+        const { key, chunk, originX, originZ } = entry;
+        chunk.setBlock(x - originX, y, z - originZ, id);
+
+        this.scene.remove(entry.mesh);
+        const mesh = chunk.buildMesh();
+        mesh.position.set(originX, 0, originZ);
+        this.scene.add(mesh);
+        this.chunks.get(key).mesh = mesh;
+        return true;
+    }
+
+    _chunkAt(x, z) {
+        const cx = Math.floor(x / CHUNK_SIZE);
+        const cz = Math.floor(z / CHUNK_SIZE);
+        const key = this.chunkKey(cx, cz);
+        const entry = this.chunks.get(key);
+        return entry ? { ...entry, key, originX: cx * CHUNK_SIZE, originZ: cz * CHUNK_SIZE } : null;
+    }
+
     reset() {
-        // remove all existing meshes
-        for(const {mesh} of this.chunks.values()) {
+        // remove all existing meshes and their collision
+        for(const {chunk, mesh} of this.chunks.values()) {
             this.scene.remove(mesh);
+            this.physics?.removeVoxelChunk(chunk);
         }
 
         this.chunks.clear();
@@ -6,22 +6,36 @@
 // Core Engine
 export { Engine } from './src/core/Engine.js';
 export { World } from './src/core/World.js';
+export { Query, Without, Optional, Added, Changed } from './src/core/Query.js';
 export { System, SystemManager } from './src/core/System.js';
+export { CommandBuffer } from './src/core/CommandBuffer.js';
+export { ComponentRegistry } from './src/core/ComponentRegistry.js';
+export { SerializerRegistry, classSerializer, SNAPSHOT_VERSION } from './src/core/Serialization.js';
+export { entityIndex, entityGeneration, formatEntity } from './src/core/Entity.js';
+export { Scene, PrefabRegistry, parsePrefab, parseScene } from './src/core/Prefab.js';
+export { Profiler } from './src/core/Profiler.js';
+export { systemClock, ManualClock, createAnimationFrameScheduler, createTimeoutScheduler } from './src/core/Clock.js';
 
 // Components
 export { Transform } from './src/components/Transform.js';
 export { MeshRenderer } from './src/components/MeshRenderer.js';
 export { Physics } from './src/components/Physics.js';
 export { Input } from './src/components/Input.js';
+export { Collider, COLLIDER_TYPES } from './src/components/Collider.js';
+export { CollisionHandler } from './src/components/CollisionHandler.js';
 
 // Systems
 export { RenderingSystem } from './src/systems/RenderingSystem.js';
 export { PhysicsSystem } from './src/systems/PhysicsSystem.js';
+export { CollisionLayers, MAX_COLLISION_LAYERS } from './src/systems/CollisionLayers.js';
 export { InputSystem } from './src/systems/InputSystem.js';
+export { InputRecorder, InputReplay, serializeInputRecording, parseInputRecording, downloadInputRecording } from './src/systems/InputRecording.js';
 
 // Assets & Utilities
 export { AssetLoader } from './src/assets/AssetLoader.js';
-export { MathUtils, ColorUtils, TimeUtils } from './src/utils/MathUtils.js';
+export { MathUtils, QuaternionUtils, MatrixUtils, ColorUtils, TimeUtils } from './src/utils/MathUtils.js';
+export { Random, hashRandom } from './src/utils/Random.js';
+export { ProfilerOverlay } from './src/utils/ProfilerOverlay.js';
 
 /**
  * Quick Start Example:
@@ -0,0 +1,111 @@
+import * as THREE from 'https://esm.sh/three@0.155.0';
+import {
+    Engine,
+    RenderingSystem,
+    PhysicsSystem,
+    Transform,
+    MeshRenderer,
+    Physics
+} from '../engine.js';
+
+/**
+ * Physics Sync Test
+ * Drops tilted cubes onto the ground and slides a script-driven sphere, then
+ * checks that every mesh ended up where its Transform is, away from where it
+ * started. Open examples/physics-sync.html from the dev server.
+ */
+const CHECK_AFTER = 3000; // ms, long enough for the cubes to land and settle
+const TOLERANCE = 1e-3;
+
+const canvas = document.createElement('canvas');
+document.body.appendChild(canvas);
+
+const scene = new THREE.Scene();
+const camera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.1, 100);
+camera.position.set(0, 6, 12);
+camera.lookAt(0, 1, 0);
+scene.add(new THREE.AmbientLight(0x404040, 0.6));
+const light = new THREE.DirectionalLight(0xffffff, 0.8);
+light.position.set(5, 10, 5);
+scene.add(light);
+
+const renderer = new THREE.WebGLRenderer({ canvas });
+renderer.setClearColor(0x87CEEB);
+
+const engine = new Engine({ canvas, width: window.innerWidth, height: window.innerHeight });
+engine.addSystem(new PhysicsSystem());
+engine.addSystem(new RenderingSystem(scene, camera, renderer));
+
+const { world } = engine;
+const tracked = []; // { entity, start }
+
+function spawn(geometry, color, transform, physics) {
+    const entity = world.createEntity();
+    world.addComponent(entity, 'Transform', transform);
+    world.addComponent(entity, 'MeshRenderer', new MeshRenderer({
+        geometry,
+        material: new THREE.MeshLambertMaterial({ color })
+    }));
+    if (physics) {
+        world.addComponent(entity, 'Physics', physics);
+    }
+
+    tracked.push({ entity, start: { ...transform.position } });
+    return entity;
+}
+
+// Ground mesh matching the PhysicsSystem's built-in platform
+const ground = new THREE.Mesh(new THREE.BoxGeometry(20, 0.2, 20), new THREE.MeshLambertMaterial({ color: 0x90EE90 }));
+ground.position.y = -0.1;
+scene.add(ground);
+
+// Tilted cubes, so a rotation that isn't synced shows up
+const cubeGeometry = new THREE.BoxGeometry(1, 1, 1);
+for (let i = 0; i < 5; i++) {
+    spawn(cubeGeometry, new THREE.Color().setHSL(i / 5, 0.8, 0.6), new Transform({
+        position: { x: (i - 2) * 2, y: 4 + i, z: 0 },
+        rotation: { x: 0.4 * i, y: 0, z: 0.7 }
+    }), new Physics({ mass: 1, collisionRadius: 0.5 }));
+}
+
+// Moved by a script writing position fields directly, with no physics body
+const slider = spawn(new THREE.SphereGeometry(0.5, 16, 16), 0xff6b6b, new Transform({
+    position: { x: -4, y: 0.5, z: 3 }
+}));
+engine.addSystem({
+    name: 'SliderSystem',
+    phase: 'update',
+    enabled: true,
+    execute: (world, deltaTime) => {
+        const transform = world.getComponent(slider, 'Transform');
+        if (transform.position.x < 4) {
+            transform.position.x += deltaTime * 4;
+        }
+    }
+});
+
+function check() {
+    const lines = [];
+    let passed = true;
+
+    for (const { entity, start } of tracked) {
+        const { mesh } = world.getComponent(entity, 'MeshRenderer');
+        const transform = world.getComponent(entity, 'Transform');
+        const position = transform.getWorldPosition();
+        const rotation = transform.getWorldRotation();
+
+        const distance = mesh.position.distanceTo(new THREE.Vector3(position.x, position.y, position.z));
+        const angle = mesh.quaternion.angleTo(new THREE.Quaternion(rotation.x, rotation.y, rotation.z, rotation.w));
+        const moved = mesh.position.distanceTo(new THREE.Vector3(start.x, start.y, start.z));
+        const ok = distance < TOLERANCE && angle < TOLERANCE && moved > 1;
+
+        passed &&= ok;
+        lines.push(`${ok ? 'ok  ' : 'FAIL'} entity ${entity}: moved ${moved.toFixed(2)}, mesh off by ${distance.toFixed(4)} / ${angle.toFixed(4)} rad`);
+    }
+
+    document.getElementById('result').textContent = `${passed ? 'PASS' : 'FAIL'}: meshes follow their transforms\n${lines.join('\n')}`;
+    console.log(passed ? 'Physics sync test passed' : 'Physics sync test failed');
+}
+
+engine.start();
+setTimeout(check, CHECK_AFTER);
@@ -0,0 +1,113 @@
+import * as THREE from 'https://esm.sh/three@0.155.0';
+import {
+    Engine,
+    RenderingSystem,
+    PhysicsSystem,
+    Transform,
+    MeshRenderer,
+    Physics
+} from '../engine.js';
+import { ChunkManager } from '../chunkManager.js';
+
+/**
+ * Voxel Terrain Collision
+ * Streams voxel chunks with a PhysicsSystem that has no built-in platform, drops
+ * balls onto the terrain and digs out the block under one of them, then checks
+ * that every ball is still resting on solid blocks. Open examples/voxel-terrain.html
+ * from the dev server.
+ */
+const CHECK_AFTER = 4000; // ms, long enough for the balls to land and the dug one to drop
+const BALLS = 5;
+const TERRAIN_HEIGHT = 64; // ChunkManager's chunk height in blocks
+
+const canvas = document.createElement('canvas');
+document.body.appendChild(canvas);
+
+const scene = new THREE.Scene();
+const camera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.1, 500);
+scene.add(new THREE.AmbientLight(0x404040, 0.6));
+const light = new THREE.DirectionalLight(0xffffff, 0.8);
+light.position.set(5, 10, 5);
+scene.add(light);
+
+const renderer = new THREE.WebGLRenderer({ canvas });
+renderer.setClearColor(0x87CEEB);
+
+const engine = new Engine({ canvas, width: window.innerWidth, height: window.innerHeight });
+// The terrain is the only ground: without voxel collision the balls fall forever
+const physics = new PhysicsSystem(null, { ground: false });
+engine.addSystem(physics);
+engine.addSystem(new RenderingSystem(scene, camera, renderer));
+
+const { world } = engine;
+const chunkManager = new ChunkManager(scene, { seed: 42, physics });
+
+// Height of the first empty block above the ground at a world block column
+function surfaceHeight(x, z) {
+    for (let y = TERRAIN_HEIGHT - 1; y >= 0; y--) {
+        if (chunkManager.getBlock(x, y, z)) return y + 1;
+    }
+    return 0;
+}
+
+// Wait until every chunk around the origin has its mesh and collision
+async function loadTerrain() {
+    await chunkManager.loadChunksAround(0, 0);
+    while (chunkManager.loadingChunks.size > 0) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+function spawnBalls() {
+    const geometry = new THREE.SphereGeometry(0.4, 16, 16);
+    const balls = [];
+    for (let i = 0; i < BALLS; i++) {
+        const x = (i - 2) * 3 + 0.5;
+        const z = 0.5;
+        const entity = world.createEntity();
+        world.addComponent(entity, 'Transform', new Transform({
+            position: { x, y: surfaceHeight(Math.floor(x), 0) + 3, z }
+        }));
+        world.addComponent(entity, 'MeshRenderer', new MeshRenderer({
+            geometry,
+            material: new THREE.MeshLambertMaterial({ color: new THREE.Color().setHSL(i / BALLS, 0.8, 0.6) })
+        }));
+        world.addComponent(entity, 'Physics', new Physics({ mass: 1, collisionRadius: 0.4, restitution: 0 }));
+        balls.push(entity);
+    }
+    return balls;
+}
+
+function check(balls) {
+    const lines = [];
+    let passed = physics.voxelChunks.size === chunkManager.chunks.size;
+
+    for (const entity of balls) {
+        const { x, y, z } = world.getComponent(entity, 'Transform').position;
+        const below = chunkManager.getBlock(Math.floor(x), Math.floor(y - 0.5), Math.floor(z));
+        const speed = world.getComponent(entity, 'Physics').body.velocity.length();
+        const ok = Boolean(below) && speed < 0.5;
+
+        passed &&= ok;
+        lines.push(`${ok ? 'ok  ' : 'FAIL'} entity ${entity}: at y ${y.toFixed(2)}, block below ${below}, speed ${speed.toFixed(2)}`);
+    }
+
+    document.getElementById('result').textContent =
+        `${passed ? 'PASS' : 'FAIL'}: balls rest on voxel terrain (${physics.voxelChunks.size} chunk bodies)\n${lines.join('\n')}`;
+    console.log(passed ? 'Voxel terrain test passed' : 'Voxel terrain test failed');
+}
+
+await loadTerrain();
+const balls = spawnBalls();
+camera.position.set(0, surfaceHeight(0, 0) + 10, 16);
+camera.lookAt(0, surfaceHeight(0, 0), 0);
+
+engine.start();
+
+// Dig out the block under the middle ball once it has landed; its chunk's
+// collision is rebuilt on the next physics step and the ball drops into the hole
+setTimeout(() => {
+    const { x, z } = world.getComponent(balls[2], 'Transform').position;
+    chunkManager.setBlock(Math.floor(x), surfaceHeight(Math.floor(x), Math.floor(z)) - 1, Math.floor(z), 0);
+}, CHECK_AFTER / 2);
+setTimeout(() => check(balls), CHECK_AFTER);
@@ -9,7 +9,9 @@ import { Transform } from './src/components/Transform.js';
 import { MeshRenderer } from './src/components/MeshRenderer.js';
 import { Physics } from './src/components/Physics.js';
 import { Input } from './src/components/Input.js';
+import { Collider } from './src/components/Collider.js';
 import { AssetLoader } from './src/assets/AssetLoader.js';
+import { ProfilerOverlay } from './src/utils/ProfilerOverlay.js';
 
 // Game class that uses the new engine
 class Game {
@@ -19,6 +21,7 @@ class Game {
         this.scene = null;
         this.camera = null;
         this.renderer = null;
+        this.profilerOverlay = null;
         this.assetLoader = new AssetLoader();
     }
 
@@ -43,6 +46,11 @@ class Game {
         // Create some demo entities
         this.createDemoScene();
         
+        // Open with ?profile to show per-system timings
+        if (new URLSearchParams(window.location.search).has('profile')) {
+            this.profilerOverlay = new ProfilerOverlay(this.engine.profiler, { budget: this.engine.fixedTimeStep });
+        }
+        
         // Start the engine
         this.engine.start();
         
@@ -105,46 +113,33 @@ class Game {
         
         // 1. Create a ground platform (finite, so you can fall off!)
         const groundEntity = this.engine.world.createEntity();
-        const groundGeometry = new THREE.BoxGeometry(20, 0.2, 20); // Match physics: 20x20 platform
-        const groundMaterial = new THREE.MeshLambertMaterial({ color: 0x90EE90 });
-        const groundMesh = new THREE.Mesh(groundGeometry, groundMaterial);
-        groundMesh.position.set(0, -0.1, 0); // Match physics position
-        groundMesh.receiveShadow = true;
-
         this.engine.world.addComponent(groundEntity, 'Transform', new Transform({
-            position: { x: 0, y: -0.1, z: 0 },
+            position: { x: 0, y: -0.1, z: 0 }, // Match physics position
             rotation: { x: 0, y: 0, z: 0 }
         }));
 
+        // RenderingSystem builds the mesh and adds it to the scene
         this.engine.world.addComponent(groundEntity, 'MeshRenderer', new MeshRenderer({
-            geometry: groundGeometry,
-            material: groundMaterial,
-            mesh: groundMesh,
+            geometry: new THREE.BoxGeometry(20, 0.2, 20), // Match physics: 20x20 platform
+            material: new THREE.MeshLambertMaterial({ color: 0x90EE90 }),
             receiveShadows: true,
             castShadows: false
         }));
-        this.engine.getSystem('RenderingSystem').addMeshToScene(groundMesh);
 
         // 2. Create some cubes
         for (let i = 0; i < 5; i++) {
             const cubeEntity = this.engine.world.createEntity();
             
-            const cubeGeometry = new THREE.BoxGeometry(1, 1, 1);
-            const cubeMaterial = new THREE.MeshLambertMaterial({ 
-                color: new THREE.Color().setHSL(i / 5, 0.8, 0.6) 
-            });
-            const cubeMesh = new THREE.Mesh(cubeGeometry, cubeMaterial);
-            cubeMesh.castShadow = true;
-
             this.engine.world.addComponent(cubeEntity, 'Transform', new Transform({
                 position: { x: (i - 2) * 2, y: 1, z: 0 },
                 rotation: { x: 0, y: 0, z: 0 }
             }));
 
             this.engine.world.addComponent(cubeEntity, 'MeshRenderer', new MeshRenderer({
-                geometry: cubeGeometry,
-                material: cubeMaterial,
-                mesh: cubeMesh,
+                geometry: new THREE.BoxGeometry(1, 1, 1),
+                material: new THREE.MeshLambertMaterial({ 
+                    color: new THREE.Color().setHSL(i / 5, 0.8, 0.6) 
+                }),
                 castShadows: true,
                 receiveShadows: true
             }));
@@ -155,25 +150,20 @@ class Game {
                 useGravity: true
             }));
 
-            this.engine.getSystem('RenderingSystem').addMeshToScene(cubeMesh);
+            // Box collision shape sized from the cube geometry, so cubes don't roll like balls
+            this.engine.world.addComponent(cubeEntity, 'Collider', new Collider({ type: 'box', autoFit: true }));
         }
 
         // 3. Create a player entity with input
         const playerEntity = this.engine.world.createEntity();
-        
-        const playerGeometry = new THREE.SphereGeometry(0.5, 32, 32);
-        const playerMaterial = new THREE.MeshLambertMaterial({ color: 0xff6b6b });
-        const playerMesh = new THREE.Mesh(playerGeometry, playerMaterial);
-        playerMesh.castShadow = true;
 
         this.engine.world.addComponent(playerEntity, 'Transform', new Transform({
             position: { x: 0, y: 2, z: 5 }
         }));
 
         this.engine.world.addComponent(playerEntity, 'MeshRenderer', new MeshRenderer({
-            geometry: playerGeometry,
-            material: playerMaterial,
-            mesh: playerMesh,
+            geometry: new THREE.SphereGeometry(0.5, 32, 32),
+            material: new THREE.MeshLambertMaterial({ color: 0xff6b6b }),
             castShadows: true
         }));
 
@@ -199,14 +189,14 @@ class Game {
             isGrounded: true // Start as grounded
         }));
 
-        this.engine.getSystem('RenderingSystem').addMeshToScene(playerMesh);
-
         // Add a simple movement system (inline for demo)
         this.engine.addSystem({
             name: 'PlayerMovementSystem',
             phase: 'update',
             enabled: true,
-            priority: 0,
+            // Read input after it is collected, before MobileInputSystem clears one-shot gestures
+            runsAfter: ['InputSystem'],
+            runsBefore: ['MobileInputSystem'],
             execute: (world, deltaTime) => {
                 const entities = world.query('Transform', 'Input', 'Physics');
                 const mobileInputSystem = this.engine.getSystem('MobileInputSystem');
@@ -283,7 +273,7 @@ class Game {
             name: 'CubeRotationSystem',
             phase: 'update',
             enabled: true,
-            priority: 10,
+            runsAfter: ['PlayerMovementSystem'],
             execute: (world, deltaTime) => {
                 const entities = world.query('Transform', 'MeshRenderer', 'Physics');
                 
@@ -299,36 +289,63 @@ class Game {
             }
         });
 
-        // Add fall-off-world reset system
+        // Add fall-off-world respawn system
+        // A respawned copy shares its geometry with the entity it replaces. The system
+        // holds a reference across the despawn, so the geometry isn't disposed and
+        // uploaded to the GPU again, and lets go once the copy's mesh holds its own.
+        const heldGeometries = new Map(); // copy's MeshRenderer -> geometry
         this.engine.addSystem({
             name: 'FallResetSystem',
             phase: 'update',
             enabled: true,
-            priority: 15,
-            execute: (world, deltaTime) => {
+            runsAfter: ['PlayerMovementSystem', 'CubeRotationSystem'],
+            execute: (world, deltaTime, commands) => {
+                const renderingSystem = this.engine.getSystem('RenderingSystem');
+                for (const [copy, geometry] of heldGeometries) {
+                    if (copy.mesh) {
+                        renderingSystem.release(geometry);
+                        heldGeometries.delete(copy);
+                    }
+                }
+                
                 const entities = world.query('Transform', 'Physics');
                 
                 for (const entity of entities) {
                     const transform = entity.Transform;
                     const physics = entity.Physics;
                     
-                    // If entity falls below -10, reset to spawn position
+                    // If entity falls below -10, respawn a fresh copy at the spawn position
                     if (transform.position.y < -10) {
-                        console.log('Entity fell off world! Resetting...');
+                        console.log('Entity fell off world! Respawning...');
+                        
+                        const components = {
+                            Transform: new Transform({
+                                position: { x: 0, y: 3, z: 0 },
+                                quaternion: transform.getQuaternion(),
+                                scale: { ...transform.scale }
+                            }),
+                            Physics: physics.clone()
+                        };
                         
-                        // Reset position
-                        if (physics.body) {
-                            physics.body.position.set(0, 3, 0);
-                            physics.body.velocity.set(0, 0, 0);
-                            physics.body.angularVelocity.set(0, 0, 0);
-                        } else {
-                            transform.position.x = 0;
-                            transform.position.y = 3;
-                            transform.position.z = 0;
-                            physics.velocity.x = 0;
-                            physics.velocity.y = 0;
-                            physics.velocity.z = 0;
+                        // Copy the renderer and keep the input bindings; the old renderer's
+                        // mesh is destroyed with the entity, and RenderingSystem builds a
+                        // new one for the copy
+                        const renderer = world.getComponent(entity.id, 'MeshRenderer');
+                        const input = world.getComponent(entity.id, 'Input');
+                        const collider = world.getComponent(entity.id, 'Collider');
+                        if (renderer) {
+                            components.MeshRenderer = renderer.clone();
+                            if (renderer.geometry) {
+                                renderingSystem.retain(renderer.geometry);
+                                heldGeometries.set(components.MeshRenderer, renderer.geometry);
+                            }
                         }
+                        if (input) components.Input = input;
+                        if (collider) components.Collider = collider.clone();
+                        
+                        // Structural changes are deferred until the update phase finishes
+                        commands.despawn(entity.id);
+                        commands.spawn(components);
                     }
                 }
             }
@@ -336,6 +353,12 @@ class Game {
 
         console.log('Demo scene created with', this.engine.world.getEntityCount(), 'entities');
     }
+
+    destroy() {
+        this.engine.stop();
+        this.profilerOverlay?.dispose();
+        this.engine.getSystem(RenderingSystem).dispose();
+    }
 }
 
 // Start the game when page loads
@@ -349,11 +372,13 @@ window.addEventListener('load', async () => {
         log(`Error: ${message} at ${source}:${lineno}:${colno}`);
     };
 
+    let game;
     try {
-        const game = new Game();
+        game = new Game();
         await game.init();
     } catch (error) {
         log('An error occurred during game initialization: ' + error);
+        return;
     }
 
     const joystick = document.getElementById('joystick');
@@ -366,7 +391,7 @@ window.addEventListener('load', async () => {
         joystickRect = joystick.getBoundingClientRect();
     };
 
-    const mobileInputSystem = game.engine.getSystem('MobileInputSystem');
+    const mobileInputSystem = game.engine.getSystem(MobileInputSystem);
     const handleMove = (e) => {
         if (dragging) {
             const clientX = e.touches ? e.touches[0].clientX : e.clientX;
@@ -436,11 +461,5 @@ window.addEventListener('load', async () => {
     document.body.appendChild(info);
 });
 
-    destroy() {
-        this.engine.stop();
-        this.engine.getSystem('RenderingSystem').dispose();
-    }
-}
-
 // Export for potential external use
 export { Game };
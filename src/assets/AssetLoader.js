@@ -1,3 +1,5 @@
+import { parsePrefab, parseScene } from '../core/Prefab.js';
+
 /**
  * Asset Loader
  * Handles loading and caching of various asset types
@@ -62,6 +64,10 @@ export class AssetLoader {
     }
 
     getTypeFromPath(path) {
+        const lowerPath = path.toLowerCase();
+        if (lowerPath.endsWith('.prefab.json')) return 'prefab';
+        if (lowerPath.endsWith('.scene.json')) return 'scene';
+        
         const extension = path.split('.').pop().toLowerCase();
         
         switch (extension) {
@@ -95,6 +101,10 @@ export class AssetLoader {
                 return this.loadAudio(path);
             case 'json':
                 return this.loadJSON(path);
+            case 'prefab':
+                return parsePrefab(await this.loadJSON(path));
+            case 'scene':
+                return parseScene(await this.loadJSON(path));
             case 'text':
                 return this.loadText(path);
             default:
@@ -167,6 +177,23 @@ export class AssetLoader {
         return response.text();
     }
 
+    // Load a .prefab.json and, if a world is given, register it there
+    async loadPrefab(path, world = null) {
+        const prefab = await this.loadAsset(path, 'prefab');
+        if (world) {
+            world.registerPrefab(prefab);
+        }
+        return prefab;
+    }
+
+    // Load a .scene.json and the prefab files listed in its "prefabs" array.
+    // Returns the scene definition, ready for world.loadScene().
+    async loadScene(path, world = null) {
+        const scene = await this.loadAsset(path, 'scene');
+        await Promise.all((scene.prefabs || []).map(prefabPath => this.loadPrefab(prefabPath, world)));
+        return scene;
+    }
+
     // Utility methods
     isLoaded(path) {
         const fullPath = this.basePath + path;
@@ -0,0 +1,103 @@
+/**
+ * Collider Component
+ * Collision shapes for an entity's physics body. One shape, or several for a
+ * compound collider:
+ *   new Collider({ type: 'box', halfExtents: { x: 0.5, y: 1, z: 0.5 } })
+ *   new Collider({ shapes: [{ type: 'box', ... }, { type: 'sphere', radius: 0.3, offset: { x: 0, y: 1, z: 0 } }] })
+ *
+ * Shape types and their fields:
+ *   box       halfExtents { x, y, z }
+ *   sphere    radius
+ *   capsule   radius, height (distance between the two sphere centers), along Y
+ *   cylinder  radius (or radiusTop / radiusBottom), height, segments, along Y
+ *   convex    vertices (flat [x, y, z, ...]), faces (index loops; computed as a hull if omitted)
+ *   trimesh   vertices (flat), indices (flat triangle list); best kept on static bodies
+ * Every shape also takes `offset` { x, y, z } and `orientation` { x, y, z, w } relative
+ * to the entity, and `autoFit: true` to size it from the MeshRenderer geometry bounds
+ * (convex and trimesh take the geometry's vertices).
+ *
+ * With a Physics component the shapes replace its default sphere; without one the
+ * entity gets a static body that follows its Transform. Sizes are scaled by the
+ * Transform's world scale when the body is built.
+ *
+ * `isTrigger: true` makes a trigger volume: overlaps are reported as collision
+ * events (see CollisionHandler) but nothing is pushed apart.
+ * `layer` names the body's collision layer; null keeps the Physics component's
+ * (or 'default').
+ */
+export const COLLIDER_TYPES = ['box', 'sphere', 'capsule', 'cylinder', 'convex', 'trimesh'];
+
+const SHAPE_DEFAULTS = {
+    box: { halfExtents: { x: 0.5, y: 0.5, z: 0.5 } },
+    sphere: { radius: 0.5 },
+    capsule: { radius: 0.5, height: 1 },
+    cylinder: { radius: 0.5, radiusTop: null, radiusBottom: null, height: 1, segments: 12 },
+    convex: { vertices: [], faces: null },
+    trimesh: { vertices: [], indices: [] }
+};
+
+function normalizeShape({ type = 'box', offset = { x: 0, y: 0, z: 0 }, orientation = { x: 0, y: 0, z: 0, w: 1 }, autoFit = false, ...fields } = {}) {
+    if (!COLLIDER_TYPES.includes(type)) {
+        throw new Error(`Unknown collider type "${type}" (expected one of ${COLLIDER_TYPES.join(', ')})`);
+    }
+
+    const shape = { type, offset: { ...offset }, orientation: { ...orientation }, autoFit };
+    for (const [field, value] of Object.entries(SHAPE_DEFAULTS[type])) {
+        const given = fields[field] ?? value;
+        shape[field] = Array.isArray(given) ? [...given] : given !== null && typeof given === 'object' ? { ...given } : given;
+    }
+
+    if ((type === 'convex' || type === 'trimesh') && !autoFit && shape.vertices.length === 0) {
+        throw new Error(`A ${type} collider needs vertices or autoFit`);
+    }
+    return shape;
+}
+
+export class Collider {
+    constructor({ shapes = null, isTrigger = false, layer = null, ...shape } = {}) {
+        this.shapes = (shapes ?? [shape]).map(normalizeShape);
+        this.isTrigger = isTrigger;
+        this.layer = layer;
+        this.body = null; // Static Cannon body, for colliders without a Physics component
+
+        // Bumped when shapes change; PhysicsSystem rebuilds the body's shapes
+        this.version = 0;
+    }
+
+    addShape(shape) {
+        this.shapes.push(normalizeShape(shape));
+        this.version++;
+    }
+
+    setShapes(shapes) {
+        this.shapes = shapes.map(normalizeShape);
+        this.version++;
+    }
+
+    setTrigger(isTrigger) {
+        this.isTrigger = isTrigger;
+        this.version++;
+    }
+
+    setLayer(layer) {
+        this.layer = layer;
+        this.version++;
+    }
+
+    clone() {
+        return new Collider({ shapes: this.shapes, isTrigger: this.isTrigger, layer: this.layer });
+    }
+
+    // Serialization (the body is rebuilt by PhysicsSystem)
+    toJSON() {
+        return {
+            shapes: this.shapes.map(shape => JSON.parse(JSON.stringify(shape))),
+            isTrigger: this.isTrigger,
+            layer: this.layer
+        };
+    }
+
+    static fromJSON(data) {
+        return new Collider(data);
+    }
+}
@@ -0,0 +1,35 @@
+/**
+ * CollisionHandler Component
+ * Per-entity callbacks for collision events, called by PhysicsSystem after each
+ * physics step with (collision, world):
+ *   onEnter  the entity started touching (or entered the trigger of) another body
+ *   onStay   every step while they still touch
+ *   onExit   they separated, or the other body went away
+ * See CollisionEvents.js for the collision fields. Callbacks live in code, so the
+ * component is not saved with world snapshots.
+ */
+export class CollisionHandler {
+    constructor({
+        onEnter = null,
+        onStay = null,
+        onExit = null
+    } = {}) {
+        this.onEnter = onEnter;
+        this.onStay = onStay;
+        this.onExit = onExit;
+    }
+
+    handle(collision, world) {
+        switch (collision.type) {
+            case 'CollisionEnter':
+                this.onEnter?.(collision, world);
+                break;
+            case 'CollisionStay':
+                this.onStay?.(collision, world);
+                break;
+            case 'CollisionExit':
+                this.onExit?.(collision, world);
+                break;
+        }
+    }
+}
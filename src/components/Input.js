@@ -107,4 +107,17 @@ export class Input {
             enabled: this.enabled
         });
     }
+
+    // Serialization (only bindings; live input state is rebuilt by InputSystem)
+    toJSON() {
+        return {
+            keyBindings: { ...this.keyBindings },
+            mouseBindings: { ...this.mouseBindings },
+            enabled: this.enabled
+        };
+    }
+
+    static fromJSON(data) {
+        return new Input(data);
+    }
 }
@@ -1,30 +1,44 @@
 
 /**
  * MeshRenderer Component
- * Handles 3D mesh rendering with materials and textures
+ * Handles 3D mesh rendering with materials and textures.
+ * RenderingSystem owns the Three.js mesh: it builds one from `geometry` and
+ * `material` when the component is added (or adopts `mesh` if given), applies the
+ * properties below, and removes and disposes it when the component goes away.
+ * `color`, `opacity` and `wireframe` override the material's own values; null
+ * leaves the material as it is. The setters bump `version` so the change is
+ * picked up; after writing fields directly, call world.markChanged(entity, 'MeshRenderer').
  */
 export class MeshRenderer {
     constructor({
         geometry = null,
         material = null,
         mesh = null,
+        asset = null, // Asset reference used to rebuild geometry/material when loading saves
         visible = true,
         castShadows = true,
         receiveShadows = true,
-        renderOrder = 0
+        renderOrder = 0,
+        color = null,     // { r, g, b } in 0..1
+        opacity = null,
+        wireframe = null
     } = {}) {
         this.geometry = geometry;
         this.material = material;
         this.mesh = mesh; // Three.js mesh object
+        this.asset = asset;
         this.visible = visible;
         this.castShadows = castShadows;
         this.receiveShadows = receiveShadows;
         this.renderOrder = renderOrder;
         
-        // Material properties
-        this.color = { r: 1, g: 1, b: 1 };
-        this.opacity = 1.0;
-        this.wireframe = false;
+        // Material overrides
+        this.color = color ? { ...color } : null;
+        this.opacity = opacity;
+        this.wireframe = wireframe;
+
+        // Bumped by the setters; RenderingSystem applies changes via Changed('MeshRenderer')
+        this.version = 0;
         
         // Animation properties
         this.animating = false;
@@ -34,52 +48,40 @@ export class MeshRenderer {
     // Visibility
     setVisible(visible) {
         this.visible = visible;
-        if (this.mesh) {
-            this.mesh.visible = visible;
-        }
+        this.version++;
     }
 
-    // Material properties
+    // Material properties (shared materials share these too; give entities
+    // their own material for per-entity colors)
     setColor(r, g, b) {
-        this.color.r = r;
-        this.color.g = g;
-        this.color.b = b;
-        
-        if (this.material && this.material.color) {
-            this.material.color.setRGB(r, g, b);
-        }
+        this.color = { r, g, b };
+        this.version++;
     }
 
     setOpacity(opacity) {
         this.opacity = opacity;
-        
-        if (this.material) {
-            this.material.opacity = opacity;
-            this.material.transparent = opacity < 1.0;
-        }
+        this.version++;
     }
 
     setWireframe(wireframe) {
         this.wireframe = wireframe;
-        
-        if (this.material) {
-            this.material.wireframe = wireframe;
-        }
+        this.version++;
+    }
+
+    setRenderOrder(renderOrder) {
+        this.renderOrder = renderOrder;
+        this.version++;
     }
 
     // Shadow settings
     setCastShadows(cast) {
         this.castShadows = cast;
-        if (this.mesh) {
-            this.mesh.castShadow = cast;
-        }
+        this.version++;
     }
 
     setReceiveShadows(receive) {
         this.receiveShadows = receive;
-        if (this.mesh) {
-            this.mesh.receiveShadow = receive;
-        }
+        this.version++;
     }
 
     // Utility methods
@@ -87,10 +89,39 @@ export class MeshRenderer {
         return new MeshRenderer({
             geometry: this.geometry, // Note: This shares geometry reference
             material: this.material?.clone(), // Clone material if it exists
+            asset: this.asset,
+            visible: this.visible,
+            castShadows: this.castShadows,
+            receiveShadows: this.receiveShadows,
+            renderOrder: this.renderOrder,
+            color: this.color,
+            opacity: this.opacity,
+            wireframe: this.wireframe
+        });
+    }
+
+    // Serialization: Three.js objects are saved by asset reference only.
+    // `resolveAsset(asset)` should return { geometry, material, mesh? }.
+    toJSON() {
+        return {
+            asset: this.asset,
             visible: this.visible,
             castShadows: this.castShadows,
             receiveShadows: this.receiveShadows,
-            renderOrder: this.renderOrder
+            renderOrder: this.renderOrder,
+            color: this.color ? { ...this.color } : null,
+            opacity: this.opacity,
+            wireframe: this.wireframe
+        };
+    }
+
+    static fromJSON(data, { resolveAsset } = {}) {
+        const resolved = data.asset && resolveAsset ? resolveAsset(data.asset) : null;
+        return new MeshRenderer({
+            ...data,
+            geometry: resolved?.geometry ?? null,
+            material: resolved?.material ?? null,
+            mesh: resolved?.mesh ?? null
         });
     }
 
@@ -20,6 +20,7 @@ export class Physics {
         angularDrag = 0.95,
         // Collision properties
         collisionRadius = 0.5,
+        layer = 'default', // Collision layer name (a Collider's layer takes precedence)
         groundY = 0.5, // Y position considered "ground"
         isGrounded = false,
         // Jump properties
@@ -43,6 +44,7 @@ export class Physics {
         
         // Collision properties
         this.collisionRadius = collisionRadius;
+        this.layer = layer;
         this.groundY = groundY;
         this.isGrounded = isGrounded;
         
@@ -56,6 +58,14 @@ export class Physics {
         
         // Previous position for collision resolution
         this.previousPosition = { x: 0, y: 0, z: 0 };
+        
+        // Bumped by setLayer(); PhysicsSystem re-applies the body's layer on change
+        this.version = 0;
+    }
+
+    setLayer(layer) {
+        this.layer = layer;
+        this.version++;
     }
 
     // Force application
@@ -207,8 +217,37 @@ export class Physics {
             drag: this.drag,
             angularDrag: this.angularDrag,
             collisionRadius: this.collisionRadius,
+            layer: this.layer,
             groundY: this.groundY,
             jumpForce: this.jumpForce
         });
     }
+
+    // Serialization (the Cannon body and pending forces are not saved;
+    // PhysicsSystem creates a new body for the loaded component)
+    toJSON() {
+        return {
+            mass: this.mass,
+            velocity: { ...this.velocity },
+            acceleration: { ...this.acceleration },
+            friction: this.friction,
+            restitution: this.restitution,
+            isKinematic: this.isKinematic,
+            isStatic: this.isStatic,
+            useGravity: this.useGravity,
+            gravityScale: this.gravityScale,
+            drag: this.drag,
+            angularDrag: this.angularDrag,
+            collisionRadius: this.collisionRadius,
+            layer: this.layer,
+            groundY: this.groundY,
+            isGrounded: this.isGrounded,
+            jumpForce: this.jumpForce,
+            canJump: this.canJump
+        };
+    }
+
+    static fromJSON(data) {
+        return new Physics(data);
+    }
 }
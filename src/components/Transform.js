@@ -1,98 +1,424 @@
+import { MathUtils, QuaternionUtils, MatrixUtils } from '../utils/MathUtils.js';
+
+function vec3Equals(a, b) {
+    return a.x === b.x && a.y === b.y && a.z === b.z;
+}
+
+function lerpVec3(a, b, t, out) {
+    out.x = a.x + (b.x - a.x) * t;
+    out.y = a.y + (b.y - a.y) * t;
+    out.z = a.z + (b.z - a.z) * t;
+    return out;
+}
+
+// Vector whose components are accessors reporting writes, so direct writes like
+// `transform.position.x += 1` (physics integration, scripts) are tracked like
+// setPosition(). They are own enumerable properties: spreading, Object.assign
+// and JSON see a plain { x, y, z }. set() writes all components with one report.
+function trackedVector(keys, initial, onChange) {
+    const values = {};
+    const vector = {};
+    for (const key of keys) {
+        values[key] = initial[key];
+        Object.defineProperty(vector, key, {
+            enumerable: true,
+            get: () => values[key],
+            set: value => {
+                if (values[key] !== value) {
+                    values[key] = value;
+                    onChange();
+                }
+            }
+        });
+    }
+    Object.defineProperty(vector, 'set', {
+        value: (...components) => {
+            let changed = false;
+            keys.forEach((key, i) => {
+                if (values[key] !== components[i]) {
+                    values[key] = components[i];
+                    changed = true;
+                }
+            });
+            if (changed) onChange();
+            return vector;
+        }
+    });
+    return vector;
+}
+
+// Live Euler view of a transform's quaternion: reads convert the current rotation
+// and writing one angle keeps the other two, so `rotation.y += dt` works
+function eulerAccessor(transform) {
+    const keys = ['x', 'y', 'z'];
+    const euler = {};
+    for (const key of keys) {
+        Object.defineProperty(euler, key, {
+            enumerable: true,
+            get: () => transform.getEuler()[key],
+            set: value => {
+                const current = transform.getEuler();
+                if (current[key] !== value) {
+                    current[key] = value;
+                    transform.setRotation(current.x, current.y, current.z);
+                }
+            }
+        });
+    }
+    Object.defineProperty(euler, 'set', {
+        value: (x, y, z) => {
+            transform.setRotation(x, y, z);
+            return euler;
+        }
+    });
+    return euler;
+}
+
 /**
  * Transform Component
- * Handles position, rotation, and scale in 3D space
+ * Handles position, rotation, and scale in 3D space.
+ * Rotation is stored as a unit quaternion { x, y, z, w }; `rotation` gives Euler
+ * angles (XYZ order, radians) for convenience.
+ * Any write marks the transform changed, including direct writes to
+ * `position`, `quaternion` and `scale` fields.
+ * Values are local to the parent Transform, if any. Local and world matrices
+ * (column-major, see MatrixUtils) are cached and recomputed only when this
+ * transform or one of its ancestors changes.
  */
 export class Transform {
     constructor({
         position = { x: 0, y: 0, z: 0 },
         rotation = { x: 0, y: 0, z: 0 },
-        scale = { x: 1, y: 1, z: 1 }
+        scale = { x: 1, y: 1, z: 1 },
+        quaternion = null // Overrides `rotation` when given
     } = {}) {
-        this.position = { ...position };
-        this.rotation = { ...rotation };
-        this.scale = { ...scale };
-        this.dirty = true;
+        const onChange = () => this.markChanged();
+        const initialQuaternion = quaternion ? QuaternionUtils.normalize(quaternion) : QuaternionUtils.fromEuler(rotation);
+        this.trackedPosition = trackedVector(['x', 'y', 'z'], position, onChange);
+        this.trackedQuaternion = trackedVector(['x', 'y', 'z', 'w'], initialQuaternion, onChange);
+        this.trackedScale = trackedVector(['x', 'y', 'z'], scale, onChange);
+
+        // State at the end of the previous fixed step, for render interpolation
+        this.previousPosition = { ...this.position };
+        this.previousQuaternion = { ...this.quaternion };
+        this.previousScale = { ...this.scale };
+
+        // Bumped by every write; World picks it up for Changed('Transform') queries
+        this.version = 0;
         
         // Optional parent-child hierarchy
         this.parent = null;
         this.children = [];
+        
+        // Cached matrices; dirty flags are pushed down to children on change
+        this.localMatrix = MatrixUtils.create();
+        this.worldMatrix = MatrixUtils.create();
+        this.localDirty = true;
+        this.worldDirty = true;
+    }
+
+    // Every write ends here. Children inherit the change: their world
+    // transform moved, so they count as changed too.
+    markChanged() {
+        this.localDirty = true;
+        this.markWorldChanged();
+    }
+
+    markWorldChanged() {
+        this.version++;
+        this.worldDirty = true;
+        for (const child of this.children) {
+            child.markWorldChanged();
+        }
+    }
+
+    // Assigning a whole vector copies it into the tracked one
+    get position() {
+        return this.trackedPosition;
+    }
+
+    set position(value) {
+        this.trackedPosition.set(value.x, value.y, value.z);
+    }
+
+    get quaternion() {
+        return this.trackedQuaternion;
+    }
+
+    set quaternion(value) {
+        this.setQuaternion(value);
+    }
+
+    get scale() {
+        return this.trackedScale;
+    }
+
+    set scale(value) {
+        this.trackedScale.set(value.x, value.y, value.z);
     }
 
     // Position methods
     setPosition(x, y, z) {
-        this.position.x = x;
-        this.position.y = y;
-        this.position.z = z;
-        this.dirty = true;
+        this.position.set(x, y, z);
     }
 
     translate(x, y, z) {
-        this.position.x += x;
-        this.position.y += y;
-        this.position.z += z;
-        this.dirty = true;
+        const { position } = this;
+        position.set(position.x + x, position.y + y, position.z + z);
+    }
+
+    // Euler rotation (in radians), derived from the quaternion. Writes to its
+    // fields go through setRotation(); use getEuler() for a plain copy
+    get rotation() {
+        this.eulerAccessor ??= eulerAccessor(this);
+        return this.eulerAccessor;
+    }
+
+    set rotation(euler) {
+        this.setRotation(euler.x, euler.y, euler.z);
+    }
+
+    getEuler(out = {}) {
+        return QuaternionUtils.toEuler(this.quaternion, out);
     }
 
-    // Rotation methods (in radians)
     setRotation(x, y, z) {
-        this.rotation.x = x;
-        this.rotation.y = y;
-        this.rotation.z = z;
-        this.dirty = true;
+        this.setQuaternion(QuaternionUtils.fromEuler({ x, y, z }));
     }
 
+    // Add to the Euler angles, as before rotation became a quaternion
     rotate(x, y, z) {
-        this.rotation.x += x;
-        this.rotation.y += y;
-        this.rotation.z += z;
-        this.dirty = true;
+        const euler = this.getEuler();
+        this.setRotation(euler.x + x, euler.y + y, euler.z + z);
+    }
+
+    // Rotate by Euler angles around the object's own (local) axes: the increment
+    // is applied after the current rotation
+    rotateLocal(x, y, z) {
+        this.setQuaternion(QuaternionUtils.multiply(this.quaternion, QuaternionUtils.fromEuler({ x, y, z })));
+    }
+
+    // Quaternion rotation
+    getQuaternion(out = {}) {
+        return Object.assign(out, this.quaternion);
+    }
+
+    setQuaternion(quaternion) {
+        const { x, y, z, w } = QuaternionUtils.normalize(quaternion);
+        this.quaternion.set(x, y, z, w);
+    }
+
+    // Rotate around an axis in local space
+    rotateOnAxis(axis, angle) {
+        const rotation = QuaternionUtils.fromAxisAngle(MathUtils.normalize(axis), angle);
+        this.setQuaternion(QuaternionUtils.multiply(this.quaternion, rotation));
     }
 
     // Scale methods
     setScale(x, y, z) {
-        this.scale.x = x;
-        this.scale.y = y;
-        this.scale.z = z;
-        this.dirty = true;
+        this.scale.set(x, y, z);
     }
 
-    // Hierarchy methods
-    addChild(childTransform) {
-        if (childTransform.parent) {
-            childTransform.parent.removeChild(childTransform);
+    // Interpolation
+    // Called by the Engine before each fixed step
+    savePreviousState() {
+        Object.assign(this.previousPosition, this.position);
+        Object.assign(this.previousQuaternion, this.quaternion);
+        Object.assign(this.previousScale, this.scale);
+    }
+
+    // Skip interpolation after a teleport so the mesh doesn't visibly slide
+    resetInterpolation() {
+        this.savePreviousState();
+    }
+
+    // True while this transform or an ancestor differs from its previous state
+    isInterpolating() {
+        return !vec3Equals(this.previousPosition, this.position) ||
+            !QuaternionUtils.equals(this.previousQuaternion, this.quaternion) ||
+            !vec3Equals(this.previousScale, this.scale) ||
+            (this.parent !== null && this.parent.isInterpolating());
+    }
+
+    // State blended between the previous and current fixed step (alpha 0..1);
+    // rotation is slerped, so fast-tumbling bodies don't snap
+    interpolate(alpha, out = { position: {}, quaternion: {}, scale: {} }) {
+        lerpVec3(this.previousPosition, this.position, alpha, out.position);
+        QuaternionUtils.slerp(this.previousQuaternion, this.quaternion, alpha, out.quaternion);
+        lerpVec3(this.previousScale, this.scale, alpha, out.scale);
+        return out;
+    }
+
+    // World matrix of the blended state, including blended ancestors
+    getInterpolatedWorldMatrix(alpha, out = new Float64Array(16)) {
+        if (alpha >= 1) {
+            return MatrixUtils.copy(this.getWorldMatrix(), out);
         }
         
-        this.children.push(childTransform);
-        childTransform.parent = this;
+        const state = this.interpolate(alpha);
+        MatrixUtils.compose(state.position, state.quaternion, state.scale, out);
+        if (this.parent) {
+            MatrixUtils.multiply(this.parent.getInterpolatedWorldMatrix(alpha), out, out);
+        }
+        return out;
+    }
+
+    // Hierarchy methods
+    addChild(childTransform) {
+        childTransform.setParent(this);
     }
 
     removeChild(childTransform) {
-        const index = this.children.indexOf(childTransform);
-        if (index !== -1) {
-            this.children.splice(index, 1);
-            childTransform.parent = null;
+        if (childTransform.parent === this) {
+            childTransform.setParent(null);
         }
     }
 
-    // Get world transform (accounting for parent hierarchy)
-    getWorldPosition() {
-        if (!this.parent) {
-            return { ...this.position };
+    // With keepWorldTransform the child stays where it is in the world and its
+    // local values are recomputed; otherwise its local values are kept
+    setParent(parent, { keepWorldTransform = false } = {}) {
+        if (parent === this.parent) return;
+        
+        for (let ancestor = parent; ancestor; ancestor = ancestor.parent) {
+            if (ancestor === this) {
+                throw new Error('Transform cannot be parented to itself or its descendants');
+            }
         }
         
-        const parentWorld = this.parent.getWorldPosition();
-        return {
-            x: parentWorld.x + this.position.x,
-            y: parentWorld.y + this.position.y,
-            z: parentWorld.z + this.position.z
+        const world = keepWorldTransform ? MatrixUtils.copy(this.getWorldMatrix(), new Float64Array(16)) : null;
+        
+        if (this.parent) {
+            const siblings = this.parent.children;
+            siblings.splice(siblings.indexOf(this), 1);
+        }
+        this.parent = parent;
+        if (parent) {
+            parent.children.push(this);
+        }
+        
+        if (world) {
+            this.setFromMatrix(parent ? MatrixUtils.multiply(parent.getWorldInverseMatrix(), world, world) : world);
+        } else {
+            this.markWorldChanged();
+        }
+    }
+
+    // Unlink from the hierarchy; children keep their world transform
+    detach() {
+        for (const child of [...this.children]) {
+            child.setParent(null, { keepWorldTransform: true });
+        }
+        this.setParent(null);
+    }
+
+    // Set local position, rotation and scale from a local matrix
+    setFromMatrix(matrix) {
+        const position = {}, quaternion = {}, scale = {};
+        MatrixUtils.decompose(matrix, position, quaternion, scale);
+        this.position = position;
+        this.quaternion = quaternion;
+        this.scale = scale;
+        this.markChanged(); // The parent may have changed even if local values didn't
+    }
+
+    // Matrices
+    getLocalMatrix() {
+        if (this.localDirty) {
+            MatrixUtils.compose(this.position, this.quaternion, this.scale, this.localMatrix);
+            this.localDirty = false;
+        }
+        return this.localMatrix;
+    }
+
+    getWorldMatrix() {
+        if (this.worldDirty) {
+            if (this.parent) {
+                MatrixUtils.multiply(this.parent.getWorldMatrix(), this.getLocalMatrix(), this.worldMatrix);
+            } else {
+                MatrixUtils.copy(this.getLocalMatrix(), this.worldMatrix);
+            }
+            this.worldDirty = false;
+        }
+        return this.worldMatrix;
+    }
+
+    getWorldInverseMatrix(out = new Float64Array(16)) {
+        return MatrixUtils.invertAffine(this.getWorldMatrix(), out);
+    }
+
+    // World-space getters
+    getWorldPosition(out = {}) {
+        const matrix = this.getWorldMatrix();
+        out.x = matrix[12];
+        out.y = matrix[13];
+        out.z = matrix[14];
+        return out;
+    }
+
+    getWorldRotation(out = {}) {
+        const local = this.getQuaternion(out);
+        return this.parent ? QuaternionUtils.multiply(this.parent.getWorldRotation(), local, out) : local;
+    }
+
+    getWorldScale(out = {}) {
+        MatrixUtils.decompose(this.getWorldMatrix(), null, null, out);
+        return out;
+    }
+
+    // World-space setters, converted into the parent's space
+    setWorldPosition(x, y, z) {
+        const point = typeof x === 'object' ? x : { x, y, z };
+        const local = this.parent ? this.parent.worldToLocal(point) : point;
+        this.setPosition(local.x, local.y, local.z);
+    }
+
+    setWorldRotation(quaternion) {
+        this.setQuaternion(this.parent
+            ? QuaternionUtils.multiply(QuaternionUtils.invert(this.parent.getWorldRotation()), quaternion)
+            : quaternion);
+    }
+
+    // Point the +Z axis at a world-space target
+    lookAt(target, up = { x: 0, y: 1, z: 0 }) {
+        const position = this.getWorldPosition();
+        const direction = {
+            x: target.x - position.x,
+            y: target.y - position.y,
+            z: target.z - position.z
         };
+        if (direction.x === 0 && direction.y === 0 && direction.z === 0) return;
+        
+        this.setWorldRotation(QuaternionUtils.lookRotation(direction, up));
+    }
+
+    // Space conversion for points
+    localToWorld(point, out = {}) {
+        return MatrixUtils.transformPoint(this.getWorldMatrix(), point, out);
+    }
+
+    worldToLocal(point, out = {}) {
+        return MatrixUtils.transformPoint(this.getWorldInverseMatrix(), point, out);
     }
 
     clone() {
         return new Transform({
             position: { ...this.position },
-            rotation: { ...this.rotation },
+            quaternion: { ...this.quaternion },
             scale: { ...this.scale }
         });
     }
+
+    // Serialization; world snapshots add the parent as an entity reference
+    toJSON() {
+        return {
+            position: { ...this.position },
+            quaternion: { ...this.quaternion },
+            scale: { ...this.scale }
+        };
+    }
+
+    // Accepts `quaternion` or, as in older snapshots and prefabs, Euler `rotation`
+    static fromJSON(data) {
+        return new Transform(data);
+    }
 }
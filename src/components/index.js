@@ -0,0 +1,94 @@
+import { Transform } from './Transform.js';
+import { MeshRenderer } from './MeshRenderer.js';
+import { Physics } from './Physics.js';
+import { Input } from './Input.js';
+import { Collider } from './Collider.js';
+import { CollisionHandler } from './CollisionHandler.js';
+
+export { Transform, MeshRenderer, Physics, Input, Collider, CollisionHandler };
+
+/**
+ * Built-in component registrations
+ * Every World registers these, so they can be used by class or by name.
+ */
+export const BuiltinComponents = [
+    [Transform, {
+        name: 'Transform',
+        schema: {
+            position: 'vec3',
+            rotation: 'vec3',    // Euler view of `quaternion`
+            quaternion: 'quat',
+            scale: 'vec3'
+        },
+        // No default quaternion, so data giving only Euler `rotation` is not overridden
+        defaults: {
+            position: { x: 0, y: 0, z: 0 },
+            rotation: { x: 0, y: 0, z: 0 },
+            scale: { x: 1, y: 1, z: 1 }
+        }
+    }],
+    [MeshRenderer, {
+        name: 'MeshRenderer',
+        schema: {
+            geometry: 'any',
+            material: 'any',
+            mesh: 'any',
+            asset: { type: 'string', nullable: true },
+            visible: 'boolean',
+            castShadows: 'boolean',
+            receiveShadows: 'boolean',
+            renderOrder: 'number',
+            color: { type: 'object', nullable: true },
+            opacity: { type: 'number', nullable: true },
+            wireframe: { type: 'boolean', nullable: true }
+        }
+    }],
+    [Physics, {
+        name: 'Physics',
+        schema: {
+            mass: 'number',
+            velocity: 'vec3',
+            acceleration: 'vec3',
+            friction: 'number',
+            restitution: 'number',
+            isKinematic: 'boolean',
+            isStatic: 'boolean',
+            useGravity: 'boolean',
+            body: 'any',
+            gravityScale: 'number',
+            drag: 'number',
+            angularDrag: 'number',
+            collisionRadius: 'number',
+            layer: 'string',
+            groundY: 'number',
+            isGrounded: 'boolean',
+            jumpForce: 'number',
+            canJump: 'boolean'
+        }
+    }],
+    [Input, {
+        name: 'Input',
+        schema: {
+            keyBindings: 'object',
+            mouseBindings: 'object',
+            enabled: 'boolean'
+        }
+    }],
+    [Collider, {
+        name: 'Collider',
+        schema: {
+            shapes: 'array',
+            isTrigger: 'boolean',
+            layer: { type: 'string', nullable: true },
+            body: 'any'
+        }
+    }],
+    [CollisionHandler, {
+        name: 'CollisionHandler',
+        schema: {
+            onEnter: { type: 'function', nullable: true },
+            onStay: { type: 'function', nullable: true },
+            onExit: { type: 'function', nullable: true }
+        }
+    }]
+];
@@ -0,0 +1,80 @@
+/**
+ * Archetype - Storage for every entity sharing the same set of components
+ * Component data is kept in one column per component, indexed by row.
+ * Each column entry is a cell: { data, added, changed, version }, where
+ * `added`/`changed` are World change ticks used by query filters.
+ */
+export class Archetype {
+    constructor(componentNames = []) {
+        this.componentNames = [...componentNames].sort();
+        this.key = Archetype.keyFor(this.componentNames);
+        this.componentSet = new Set(this.componentNames);
+
+        this.entities = []; // row -> entityId
+        this.columns = new Map(); // Map<componentName, Array<cell>>
+        for (const componentName of this.componentNames) {
+            this.columns.set(componentName, []);
+        }
+
+        // Cached transitions to neighbouring archetypes: Map<'+name' | '-name', Archetype>
+        this.edges = new Map();
+
+        // Queries whose results include the entities stored here
+        this.queries = [];
+    }
+
+    static keyFor(componentNames) {
+        return [...componentNames].sort().join('|');
+    }
+
+    has(componentName) {
+        return this.componentSet.has(componentName);
+    }
+
+    get size() {
+        return this.entities.length;
+    }
+
+    // Append an entity; `getCell(componentName)` supplies each column value
+    addEntity(entityId, getCell) {
+        const row = this.entities.length;
+        this.entities.push(entityId);
+        for (const [componentName, column] of this.columns) {
+            column.push(getCell(componentName));
+        }
+        return row;
+    }
+
+    // Swap-remove a row. Returns the entity that moved into `row`, if any.
+    removeRow(row) {
+        const lastRow = this.entities.length - 1;
+        let movedEntity;
+
+        if (row !== lastRow) {
+            movedEntity = this.entities[lastRow];
+            this.entities[row] = movedEntity;
+            for (const column of this.columns.values()) {
+                column[row] = column[lastRow];
+            }
+        }
+
+        this.entities.pop();
+        for (const column of this.columns.values()) {
+            column.pop();
+        }
+
+        return movedEntity;
+    }
+
+    get(row, componentName) {
+        return this.columns.get(componentName)?.[row]?.data;
+    }
+
+    getCell(row, componentName) {
+        return this.columns.get(componentName)?.[row];
+    }
+
+    setCell(row, componentName, cell) {
+        this.columns.get(componentName)[row] = cell;
+    }
+}
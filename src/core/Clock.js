@@ -0,0 +1,51 @@
+/**
+ * Clocks and Schedulers
+ * The Engine reads time from a clock ({ now() -> ms }) and asks a scheduler
+ * ({ request(callback) -> handle, cancel(handle) }) for the next loop tick.
+ * Swapping them lets the engine run without a browser (Node, CI, servers).
+ */
+
+// Wall-clock time from performance.now() (available in browsers and Node)
+export const systemClock = {
+    now: () => performance.now()
+};
+
+// Clock that only moves when told to; useful for tests and replays
+export class ManualClock {
+    constructor(startTime = 0) {
+        this.time = startTime;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    advance(milliseconds) {
+        this.time += milliseconds;
+        return this.time;
+    }
+
+    set(time) {
+        this.time = time;
+    }
+}
+
+// Browser scheduler: one tick per display refresh
+export function createAnimationFrameScheduler() {
+    return {
+        request: callback => requestAnimationFrame(callback),
+        cancel: handle => cancelAnimationFrame(handle)
+    };
+}
+
+// Timer scheduler for headless runs: one tick every `interval` ms
+export function createTimeoutScheduler(interval, clock = systemClock) {
+    return {
+        request: callback => setTimeout(() => callback(clock.now()), interval),
+        cancel: handle => clearTimeout(handle)
+    };
+}
+
+export function isBrowserEnvironment() {
+    return typeof window !== 'undefined' && typeof requestAnimationFrame === 'function';
+}
@@ -0,0 +1,81 @@
+/**
+ * Command Buffer
+ * Records structural changes (spawn, despawn, add/remove component) so systems
+ * can request them while iterating queries. The Engine applies them at sync
+ * points between phases, when no system is iterating.
+ */
+export class CommandBuffer {
+    constructor() {
+        this.commands = [];
+    }
+
+    // Create an entity with the given components ({ componentName: data }).
+    // onSpawn(entityId, world) runs once the entity exists.
+    spawn(components = {}, onSpawn = null) {
+        this.commands.push({ type: 'spawn', components, onSpawn });
+    }
+
+    despawn(entityId) {
+        this.commands.push({ type: 'despawn', entityId });
+    }
+
+    addComponent(entityId, componentName, data = {}) {
+        this.commands.push({ type: 'add', entityId, componentName, data });
+    }
+
+    removeComponent(entityId, componentName) {
+        this.commands.push({ type: 'remove', entityId, componentName });
+    }
+
+    get size() {
+        return this.commands.length;
+    }
+
+    isEmpty() {
+        return this.commands.length === 0;
+    }
+
+    clear() {
+        this.commands.length = 0;
+    }
+
+    // Apply recorded commands in order. Commands recorded while flushing
+    // (e.g. by world observers) are applied in the same flush.
+    flush(world) {
+        while (this.commands.length > 0) {
+            const commands = this.commands;
+            this.commands = [];
+
+            for (const command of commands) {
+                this.apply(world, command);
+            }
+        }
+    }
+
+    apply(world, command) {
+        switch (command.type) {
+            case 'spawn': {
+                const entityId = world.createEntity();
+                for (const [componentName, data] of Object.entries(command.components)) {
+                    world.addComponent(entityId, componentName, data);
+                }
+                command.onSpawn?.(entityId, world);
+                break;
+            }
+            case 'despawn':
+                world.destroyEntity(command.entityId);
+                break;
+            case 'add':
+                // The entity may have been despawned earlier in the same flush
+                if (world.entities.has(command.entityId)) {
+                    world.addComponent(command.entityId, command.componentName, command.data);
+                }
+                break;
+            case 'remove':
+                world.removeComponent(command.entityId, command.componentName);
+                break;
+            default:
+                throw new Error(`Unknown command type: ${command.type}`);
+        }
+    }
+}
@@ -0,0 +1,228 @@
+/**
+ * Component Registry
+ * Describes the component types a World knows about: their name, a schema of
+ * fields with types, and default values. Used to validate component data, to
+ * construct components from plain data, and by tooling (inspectors,
+ * serializers, network replication) to discover what a component contains.
+ *
+ * Schema fields map to a type name or a descriptor:
+ *   { mass: 'number', position: 'vec3', tag: { type: 'string', nullable: true } }
+ * Types: number, boolean, string, vec3, quat, object, array, function, entity, any
+ */
+const FIELD_VALIDATORS = {
+    number: value => typeof value === 'number' && !Number.isNaN(value),
+    boolean: value => typeof value === 'boolean',
+    string: value => typeof value === 'string',
+    vec3: value => isObject(value) && ['x', 'y', 'z'].every(axis => typeof value[axis] === 'number'),
+    quat: value => isObject(value) && ['x', 'y', 'z', 'w'].every(axis => typeof value[axis] === 'number'),
+    object: value => isObject(value),
+    array: value => Array.isArray(value),
+    function: value => typeof value === 'function',
+    entity: value => Number.isInteger(value) && value >= 0,
+    any: () => true
+};
+
+function isObject(value) {
+    return value !== null && typeof value === 'object';
+}
+
+function normalizeField(field) {
+    const descriptor = typeof field === 'string' ? { type: field } : { ...field };
+    if (!FIELD_VALIDATORS[descriptor.type]) {
+        throw new Error(`Unknown schema field type: ${descriptor.type}`);
+    }
+    descriptor.nullable = descriptor.nullable ?? descriptor.type === 'any';
+    return descriptor;
+}
+
+// Small edit distance, used to suggest the intended name for a typo
+function editDistance(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = previous[j];
+            previous[j] = Math.min(
+                previous[j] + 1,
+                previous[j - 1] + 1,
+                diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            diagonal = above;
+        }
+    }
+    return previous[b.length];
+}
+
+export class ComponentRegistry {
+    constructor() {
+        this.byName = new Map(); // Map<name, metadata>
+        this.byType = new Map(); // Map<class, metadata>
+    }
+
+    // type: component class, or null for plain-object components
+    register(type, { name = type?.name, schema = {}, defaults, serializer = null } = {}) {
+        if (!name) {
+            throw new Error('Component registration requires a name');
+        }
+        if (this.byName.has(name) && this.byName.get(name).type !== type) {
+            throw new Error(`Component "${name}" is already registered`);
+        }
+
+        const fields = {};
+        for (const [field, descriptor] of Object.entries(schema)) {
+            fields[field] = normalizeField(descriptor);
+        }
+
+        const metadata = {
+            name,
+            type,
+            schema: fields,
+            defaults: defaults ?? ComponentRegistry.defaultsFromType(type, fields),
+            serializer
+        };
+
+        this.byName.set(name, metadata);
+        if (type) {
+            this.byType.set(type, metadata);
+        }
+        return metadata;
+    }
+
+    // Defaults for class components are read from a default-constructed instance
+    static defaultsFromType(type, fields) {
+        if (typeof type !== 'function') return {};
+
+        const instance = new type();
+        const defaults = {};
+        for (const field of Object.keys(fields)) {
+            defaults[field] = instance[field];
+        }
+        return defaults;
+    }
+
+    has(typeOrName) {
+        return typeof typeOrName === 'string' ? this.byName.has(typeOrName) : this.byType.has(typeOrName);
+    }
+
+    get(typeOrName) {
+        return typeof typeOrName === 'string' ? this.byName.get(typeOrName) : this.byType.get(typeOrName);
+    }
+
+    // Component name for a class or name; classes must be registered
+    resolveName(typeOrName) {
+        if (typeof typeOrName === 'string') {
+            return typeOrName;
+        }
+
+        const metadata = this.byType.get(typeOrName);
+        if (!metadata) {
+            throw new Error(`Component class ${typeOrName?.name || typeOrName} is not registered`);
+        }
+        return metadata.name;
+    }
+
+    // Closest registered name to an unknown one, if it looks like a typo
+    suggest(name) {
+        let best = null;
+        let bestDistance = 3;
+        for (const candidate of this.byName.keys()) {
+            const distance = editDistance(name.toLowerCase(), candidate.toLowerCase());
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    }
+
+    // Throws if `data` has fields the schema does not declare, or fields of the wrong type.
+    // With `partial` only the fields present in `data` are checked for type.
+    validate(typeOrName, data, { partial = false } = {}) {
+        const metadata = this.get(typeOrName);
+        if (!metadata) return;
+
+        const { name, schema } = metadata;
+        if (!isObject(data)) {
+            throw new Error(`Component "${name}" data must be an object`);
+        }
+
+        if (partial && Object.keys(schema).length > 0) {
+            for (const field of Object.keys(data)) {
+                if (!(field in schema)) {
+                    const hint = this.suggestField(schema, field);
+                    throw new Error(`Unknown field "${field}" for component "${name}"${hint ? ` (did you mean "${hint}"?)` : ''}`);
+                }
+            }
+        }
+
+        for (const [field, descriptor] of Object.entries(schema)) {
+            if (partial && !(field in data)) continue;
+
+            const value = data[field];
+            if (value === undefined || value === null) {
+                if (value === null && descriptor.nullable) continue;
+                if (value === undefined && (partial || descriptor.optional)) continue;
+                throw new Error(`Component "${name}" field "${field}" is missing`);
+            }
+            if (!FIELD_VALIDATORS[descriptor.type](value)) {
+                throw new Error(`Component "${name}" field "${field}" must be of type ${descriptor.type}`);
+            }
+        }
+    }
+
+    suggestField(schema, field) {
+        return Object.keys(schema).find(candidate => editDistance(field, candidate) <= 2) || null;
+    }
+
+    // Build a component from plain data, filling in defaults. Plain-object fields
+    // (vec3, quat, object) are merged into their defaults like prefab data is, so
+    // { position: { x: 3 } } keeps the default y and z.
+    create(typeOrName, data = {}) {
+        const metadata = this.get(typeOrName);
+        const values = mergeDefaults(metadata.defaults, data);
+        this.validate(typeOrName, isObject(data) ? pickFields(values, data) : data, { partial: true });
+
+        const component = typeof metadata.type === 'function' ? new metadata.type(values) : values;
+
+        this.validate(typeOrName, component);
+        return component;
+    }
+
+    list() {
+        return Array.from(this.byName.values());
+    }
+}
+
+function isPlainObject(value) {
+    return isObject(value) && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function mergeDefaults(defaults, data) {
+    if (!isPlainObject(defaults) || !isPlainObject(data)) {
+        return data === undefined ? structuredCopy(defaults) : data;
+    }
+    const merged = structuredCopy(defaults);
+    for (const [key, value] of Object.entries(data)) {
+        merged[key] = mergeDefaults(defaults[key], value);
+    }
+    return merged;
+}
+
+// The merged values of the fields `data` gave, for validation
+function pickFields(values, data) {
+    const picked = {};
+    for (const field of Object.keys(data)) picked[field] = values[field];
+    return picked;
+}
+
+// Copy defaults so components never share nested default objects
+function structuredCopy(value) {
+    if (Array.isArray(value)) return value.map(structuredCopy);
+    if (isObject(value) && Object.getPrototypeOf(value) === Object.prototype) {
+        const copy = {};
+        for (const [key, item] of Object.entries(value)) copy[key] = structuredCopy(item);
+        return copy;
+    }
+    return value;
+}
@@ -1,19 +1,45 @@
 
 import { World } from './World.js';
 import { SystemManager } from './System.js';
+import { CommandBuffer } from './CommandBuffer.js';
+import { Changed } from './Query.js';
+import { Profiler } from './Profiler.js';
+import { MathUtils } from '../utils/MathUtils.js';
+import { systemClock, createAnimationFrameScheduler, createTimeoutScheduler, isBrowserEnvironment } from './Clock.js';
 
 /**
  * Main Game Engine
  * Manages the game loop, world state, and system execution
  */
 export class Engine {
-    constructor({ canvas, width, height, targetFPS = 60 }) {
+    constructor({
+        canvas,
+        width,
+        height,
+        targetFPS = 60,
+        strictComponents = false,
+        interpolate = true,
+        deterministic = false,
+        seed,
+        profile = false,
+        headless = !isBrowserEnvironment(),
+        clock = systemClock,
+        scheduler
+    } = {}) {
+        // Headless engines never touch window/DOM; systems that need a renderer
+        // are simply not added
+        this.headless = headless;
         this.canvas = canvas;
-        this.width = width || window.innerWidth;
-        this.height = height || window.innerHeight;
+        this.width = width || (headless ? 0 : window.innerWidth);
+        this.height = height || (headless ? 0 : window.innerHeight);
         this.targetFPS = targetFPS;
-        this.world = new World();
+        // Deterministic engines without a seed use 0, so runs are reproducible by default
+        this.world = new World({ strictComponents, seed: seed ?? (deterministic ? 0 : undefined) });
+        // Seeded engines also drive MathUtils.random(), so code using it stays reproducible
+        this.seeded = seed !== undefined || deterministic;
+        this.useSharedRandom();
         this.systemManager = new SystemManager();
+        this.commands = new CommandBuffer(); // Deferred structural changes, flushed between phases
         
         // Timing
         this.lastTime = 0;
@@ -21,10 +47,37 @@ export class Engine {
         this.fixedTimeStep = 1000 / targetFPS; // ms
         this.maxFrameTime = 250; // Cap frame time to prevent spiral of death
         
+        // Scales the delta time systems receive: 0.25 for slow motion, 2 for fast
+        // forward. Fixed steps still run at fixedTimeStep intervals of real time.
+        this.timeScale = 1;
+        this.scaledSteps = 0; // Fixed steps weighted by their time scale
+        
+        // Time source ({ now() }) and loop driver ({ request(cb), cancel(handle) })
+        this.clock = clock;
+        this.scheduler = scheduler || (headless
+            ? createTimeoutScheduler(this.fixedTimeStep, clock)
+            : createAnimationFrameScheduler());
+        this.frameHandle = null;
+        
+        // Deterministic mode: simulation time advances only in whole fixed steps
+        // and world.random is seeded, so identical inputs give identical worlds
+        this.deterministic = deterministic;
+        
+        // Render interpolation: Transforms keep their previous fixed-step state and
+        // frame stages receive world.time.alpha to blend between the two
+        this.interpolate = interpolate;
+        this.movedTransforms = null;
+        
         // State
+        this.initialized = false;
         this.running = false;
         this.paused = false;
         
+        // Per-system, per-phase and per-frame timings; enable() to start collecting
+        this.profiler = new Profiler({ clock });
+        this.profiler.enabled = profile;
+        this.systemManager.profiler = this.profiler;
+        
         // Stats
         this.stats = {
             fps: 0,
@@ -42,43 +95,120 @@ export class Engine {
         return this.systemManager.addSystem(system);
     }
 
-    removeSystem(systemName) {
-        this.systemManager.removeSystem(systemName);
+    removeSystem(nameOrClass) {
+        return this.systemManager.removeSystem(nameOrClass);
+    }
+
+    // Look up a registered system by name or class, or null if there is none
+    getSystem(nameOrClass) {
+        return this.systemManager.getSystem(nameOrClass);
+    }
+
+    hasSystem(nameOrClass) {
+        return this.systemManager.hasSystem(nameOrClass);
+    }
+
+    replaceSystem(nameOrClass, newSystem) {
+        return this.systemManager.replaceSystem(nameOrClass, newSystem);
+    }
+
+    // Define a custom stage, e.g. addStage('lateUpdate', { runsAfter: ['update'] })
+    // or addStage('ui', { fixed: false, runsAfter: ['render'] })
+    addStage(name, options) {
+        this.systemManager.addStage(name, options);
+    }
+
+    // Component Management
+    registerComponent(type, options) {
+        return this.world.registerComponent(type, options);
     }
 
     // Engine Lifecycle
+    // Sort and initialize systems once; start() and step() call this for you
+    init() {
+        if (this.initialized) return;
+        
+        this.useSharedRandom();
+        // Resolve stage and system order up front so cycles fail loudly here
+        this.systemManager.sortSystems();
+        this.systemManager.initializeSystems(this.world);
+        this.commands.flush(this.world);
+        this.initialized = true;
+    }
+
     start() {
         if (this.running) return;
         
+        this.init();
+        
         this.running = true;
         this.paused = false;
-        this.lastTime = performance.now();
-        
-        // Initialize systems
-        this.systemManager.initializeSystems(this.world);
+        this.lastTime = this.clock.now();
         
         // Setup event listeners
-        window.addEventListener('resize', this.onResize);
+        if (!this.headless) {
+            window.addEventListener('resize', this.onResize);
+        }
         
         // Start the game loop
-        requestAnimationFrame(this.loop);
+        this.frameHandle = this.scheduler.request(this.loop);
         
         console.log('Engine started');
     }
 
     stop() {
         this.running = false;
-        window.removeEventListener('resize', this.onResize);
+        if (this.frameHandle !== null) {
+            this.scheduler.cancel(this.frameHandle);
+            this.frameHandle = null;
+        }
+        if (!this.headless) {
+            window.removeEventListener('resize', this.onResize);
+        }
         console.log('Engine stopped');
     }
 
+    // Advance the simulation by `count` fixed steps, then run the frame stages
+    // once, without a running loop. Meant for tests, tools and servers.
+    step(count = 1) {
+        this.init();
+        
+        // Each call is one profiler frame, like one pass of the running loop
+        const profiling = this.profiler.enabled;
+        if (profiling) this.profiler.beginFrame();
+        
+        for (let i = 0; i < count; i++) {
+            this.fixedStep();
+        }
+        
+        // Frame stages see the state after the last step, not a blend
+        this.runFrameStages(count * this.fixedTimeStep, 1);
+        
+        if (profiling) this.profiler.endFrame(this.getFrameCounters(count));
+        return this;
+    }
+
     pause() {
         this.paused = true;
     }
 
+    // Debug: while paused, run exactly one fixed step and the frame stages
+    advanceStep() {
+        if (!this.paused) return false;
+        this.step(1);
+        return true;
+    }
+
+    setTimeScale(scale) {
+        if (!(scale >= 0) || !Number.isFinite(scale)) {
+            throw new Error(`Time scale must be a finite number >= 0, got ${scale}`);
+        }
+        this.timeScale = scale;
+    }
+
     resume() {
         this.paused = false;
-        this.lastTime = performance.now(); // Reset timing
+        this.lastTime = this.clock.now(); // Reset timing
     }
 
     // Main Game Loop
@@ -97,24 +227,88 @@ export class Engine {
         this.updateFPS(currentTime);
         
         if (!this.paused) {
+            const profiling = this.profiler.enabled;
+            if (profiling) this.profiler.beginFrame();
+            
             // Fixed timestep for physics/logic updates
             this.accumulator += frameTime;
             
+            let steps = 0;
             while (this.accumulator >= this.fixedTimeStep) {
-                // Fixed update phase (physics, logic)
-                this.systemManager.executePhase('physics', this.world, this.fixedTimeStep / 1000);
-                this.systemManager.executePhase('update', this.world, this.fixedTimeStep / 1000);
-                
+                this.fixedStep();
                 this.accumulator -= this.fixedTimeStep;
+                steps++;
             }
             
-            // Variable timestep for rendering
-            const deltaTime = frameTime / 1000;
-            this.systemManager.executePhase('render', this.world, deltaTime);
+            // Variable timestep for frame stages (rendering); deterministic
+            // engines report the simulated time instead of wall-clock time
+            const alpha = this.interpolate ? this.accumulator / this.fixedTimeStep : 1;
+            this.runFrameStages(this.deterministic ? steps * this.fixedTimeStep : frameTime, alpha);
+            
+            if (profiling) this.profiler.endFrame(this.getFrameCounters(steps));
         }
         
         // Continue the loop
-        requestAnimationFrame(this.loop);
+        this.frameHandle = this.scheduler.request(this.loop);
+    }
+
+    // Run every frame stage once; frameTime is in ms
+    runFrameStages(frameTime, alpha) {
+        const time = this.world.time;
+        time.alpha = alpha;
+        time.frame++;
+        for (const stage of this.systemManager.getFrameStages()) {
+            this.runPhase(stage, frameTime / 1000 * this.timeScale, frameTime / 1000);
+        }
+    }
+
+    // Run every fixed stage once
+    fixedStep() {
+        const time = this.world.time;
+        time.timeScale = this.timeScale;
+        time.unscaledFixedDelta = this.fixedTimeStep / 1000;
+        time.fixedDelta = time.unscaledFixedDelta * this.timeScale;
+        
+        if (this.interpolate) {
+            this.savePreviousTransforms();
+        }
+        
+        // Fixed stages (physics, logic)
+        for (const stage of this.systemManager.getFixedStages()) {
+            this.runPhase(stage, time.fixedDelta, time.unscaledFixedDelta);
+        }
+        
+        // Derived from the step count so it doesn't drift from rounding
+        time.fixedStep++;
+        this.scaledSteps += this.timeScale;
+        time.elapsed = this.scaledSteps * time.unscaledFixedDelta;
+    }
+
+    // Record the state every Transform had at the end of the previous fixed step.
+    // Only transforms that changed during that step can differ from it.
+    savePreviousTransforms() {
+        if (!this.movedTransforms) {
+            this.movedTransforms = this.world.createQuery('Transform', Changed('Transform'));
+        }
+        
+        for (const { Transform: transform } of this.movedTransforms.execute()) {
+            transform.savePreviousState();
+        }
+    }
+
+    // Point MathUtils' shared generator at this engine's world.random. Called before
+    // systems run, so engines stepped side by side each draw from their own sequence.
+    useSharedRandom() {
+        if (this.seeded) MathUtils.rng = this.world.random;
+    }
+
+    // Execute one phase, then apply the structural changes its systems recorded
+    runPhase(phase, deltaTime, unscaledDeltaTime = deltaTime) {
+        this.useSharedRandom();
+        this.world.time.delta = deltaTime;
+        this.world.time.unscaledDelta = unscaledDeltaTime;
+        this.systemManager.executePhase(phase, this.world, deltaTime, this.commands, unscaledDeltaTime);
+        this.commands.flush(this.world);
     }
 
     updateFPS(currentTime) {
@@ -127,6 +321,28 @@ export class Engine {
         }
     }
 
+    // Counters recorded by the profiler at the end of each frame
+    getFrameCounters(fixedSteps) {
+        const counters = {
+            fixedSteps,
+            entities: this.world.getEntityCount(),
+            archetypes: this.world.archetypes.size,
+            components: this.world.getComponentCount(),
+            drawCalls: 0,
+            triangles: 0
+        };
+        
+        // Systems that render report their own stats (see RenderingSystem.getRenderStats)
+        for (const system of this.systemManager.systems) {
+            if (system.getRenderStats) {
+                const { drawCalls = 0, triangles = 0 } = system.getRenderStats();
+                counters.drawCalls += drawCalls;
+                counters.triangles += triangles;
+            }
+        }
+        return counters;
+    }
+
     // Event Handlers
     onResize() {
         this.width = window.innerWidth;
@@ -0,0 +1,29 @@
+/**
+ * Entity Handles
+ * An entity handle packs a slot index and a generation into one number:
+ *   handle = generation * 2^ENTITY_INDEX_BITS + index
+ * Slots are recycled when entities are destroyed and the generation is bumped,
+ * so handles kept after destruction never resolve to the slot's new occupant.
+ * Handles stay plain numbers, so they work as Map keys and in JSON.
+ */
+export const ENTITY_INDEX_BITS = 22; // Up to ~4 million live entities
+export const MAX_ENTITY_INDEX = 2 ** ENTITY_INDEX_BITS - 1;
+export const MAX_ENTITY_GENERATION = 2 ** 31 - 1; // Keeps handles below 2^53
+
+const GENERATION_STRIDE = 2 ** ENTITY_INDEX_BITS;
+
+export function makeEntityHandle(index, generation) {
+    return generation * GENERATION_STRIDE + index;
+}
+
+export function entityIndex(handle) {
+    return handle % GENERATION_STRIDE;
+}
+
+export function entityGeneration(handle) {
+    return Math.floor(handle / GENERATION_STRIDE);
+}
+
+export function formatEntity(handle) {
+    return `${entityIndex(handle)}v${entityGeneration(handle)}`;
+}
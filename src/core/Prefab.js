@@ -0,0 +1,295 @@
+/**
+ * Prefabs and Scenes
+ * A prefab is a declarative entity template, usually a `.prefab.json` file:
+ *   {
+ *     "name": "crate",
+ *     "components": { "Transform": { "position": { "x": 0, "y": 1, "z": 0 } }, ... },
+ *     "children": [ { "name": "lid", "components": { ... } }, { "prefab": "label" } ]
+ *   }
+ * A prefab may extend another one with "prefab": "baseName"; its components are
+ * merged over the base's and its children appended.
+ * Component data is read like snapshot data: missing fields take the registered
+ * defaults and class components are built through their serializer (fromJSON).
+ * Children are entities of their own whose Transforms are parented to the root's.
+ *
+ * A scene is a list of prefab instances and inline entities loaded and unloaded
+ * as a unit:
+ *   { "name": "level1", "prefabs": ["crate.prefab.json"], "entities": [ { "prefab": "crate", "overrides": { ... } } ] }
+ */
+export const PREFAB_FORMAT = 'mekeni-prefab';
+export const SCENE_FORMAT = 'mekeni-scene';
+export const PREFAB_VERSION = 1;
+
+// Plain-object component on every instance root listing the other entities it
+// spawned, so the instance can be destroyed as a unit
+export const PrefabInstanceComponent = {
+    name: 'PrefabInstance',
+    schema: {
+        prefab: { type: 'string', nullable: true },
+        entities: 'array'
+    },
+    serializer: {
+        serialize: instance => ({ prefab: instance.prefab, entities: [...instance.entities] }),
+        // Entity ids are remapped to the ids they were loaded as
+        deserialize: (data, { entityMap } = {}) => ({
+            prefab: data.prefab,
+            entities: entityMap ? data.entities.map(id => entityMap.get(id)).filter(id => id !== undefined) : [...data.entities]
+        })
+    }
+};
+
+export class PrefabRegistry {
+    constructor() {
+        this.prefabs = new Map(); // Map<name, definition>
+    }
+
+    register(definition) {
+        const prefab = parsePrefab(definition);
+        if (!prefab.name) {
+            throw new Error('Prefab registration requires a name');
+        }
+        this.prefabs.set(prefab.name, prefab);
+        return prefab;
+    }
+
+    unregister(name) {
+        return this.prefabs.delete(name);
+    }
+
+    has(name) {
+        return this.prefabs.has(name);
+    }
+
+    get(name) {
+        const prefab = this.prefabs.get(name);
+        if (!prefab) {
+            throw new Error(`Unknown prefab "${name}"`);
+        }
+        return prefab;
+    }
+
+    list() {
+        return Array.from(this.prefabs.keys());
+    }
+}
+
+// Accepts a prefab object or its JSON text
+export function parsePrefab(input) {
+    const prefab = typeof input === 'string' ? JSON.parse(input) : input;
+    checkHeader(prefab, PREFAB_FORMAT, 'prefab');
+    checkNode(prefab, prefab.name || 'prefab');
+    return prefab;
+}
+
+export function parseScene(input) {
+    const scene = typeof input === 'string' ? JSON.parse(input) : input;
+    checkHeader(scene, SCENE_FORMAT, 'scene');
+    if (!Array.isArray(scene.entities)) {
+        throw new Error(`Scene "${scene.name || 'scene'}" must have an entities array`);
+    }
+    scene.entities.forEach((node, i) => checkNode(node, `${scene.name || 'scene'}.entities[${i}]`));
+    return scene;
+}
+
+function checkHeader(definition, format, kind) {
+    if (!definition || typeof definition !== 'object') {
+        throw new Error(`A ${kind} must be an object`);
+    }
+    if (definition.format !== undefined && definition.format !== format) {
+        throw new Error(`Not a ${kind}: format is "${definition.format}"`);
+    }
+    if (definition.version > PREFAB_VERSION) {
+        throw new Error(`Unsupported ${kind} version ${definition.version} (max ${PREFAB_VERSION})`);
+    }
+}
+
+function checkNode(node, path) {
+    if (node.prefab !== undefined && typeof node.prefab !== 'string') {
+        throw new Error(`${path}: "prefab" must be a prefab name`);
+    }
+    for (const key of ['components', 'overrides']) {
+        if (node[key] !== undefined && !isPlainObject(node[key])) {
+            throw new Error(`${path}: "${key}" must be an object of component data`);
+        }
+    }
+    if (node.children !== undefined) {
+        if (!Array.isArray(node.children)) {
+            throw new Error(`${path}: "children" must be an array`);
+        }
+        node.children.forEach((child, i) => checkNode(child, `${path}.children[${i}]`));
+    }
+}
+
+/**
+ * Create the entities of a prefab (name or definition) and return the root id.
+ * overrides: { ComponentName: partial data | null to leave it out,
+ *              children: { childName: overrides } }
+ * context is passed to component deserializers (e.g. { resolveAsset }).
+ */
+export function instantiatePrefab(world, prefab, overrides = {}, context = {}) {
+    const definition = typeof prefab === 'string' ? world.prefabs.get(prefab) : parsePrefab(prefab);
+    const entities = [];
+    let root;
+    try {
+        root = instantiateNode(world, { prefab: definition }, overrides, { ...context, world }, entities, []);
+    } catch (error) {
+        // Don't leave a partial instance behind
+        entities.forEach(entityId => world.destroyEntity(entityId));
+        throw error;
+    }
+
+    world.addComponent(root, PrefabInstanceComponent.name, {
+        prefab: definition.name ?? (typeof definition.prefab === 'string' ? definition.prefab : null),
+        entities: entities.filter(entityId => entityId !== root)
+    });
+    return root;
+}
+
+// Destroy an instance root and everything it spawned
+export function destroyPrefabInstance(world, root) {
+    const instance = world.getComponent(root, PrefabInstanceComponent.name);
+    if (instance) {
+        for (let i = instance.entities.length - 1; i >= 0; i--) {
+            world.destroyEntity(instance.entities[i]);
+        }
+    }
+    world.destroyEntity(root);
+}
+
+function instantiateNode(world, node, overrides, context, entities, prefabStack) {
+    const { components, children } = resolveNode(world, node, overrides, prefabStack);
+    const entityId = world.createEntity();
+    entities.push(entityId);
+
+    for (const [componentName, data] of Object.entries(components)) {
+        if (data === null) continue;
+        world.addComponent(entityId, componentName, buildComponent(world, componentName, data, context));
+    }
+
+    const parentTransform = world.getComponent(entityId, 'Transform');
+    for (const child of children) {
+        const childOverrides = (child.name && overrides.children?.[child.name]) || {};
+        const childId = instantiateNode(world, child, childOverrides, context, entities, child.stack);
+        const childTransform = world.getComponent(childId, 'Transform');
+        if (parentTransform && childTransform) {
+            parentTransform.addChild(childTransform);
+        }
+    }
+
+    return entityId;
+}
+
+// Flatten a node and the prefab it references into final component data and children
+function resolveNode(world, node, overrides, prefabStack) {
+    let components = {};
+    let children = [];
+    let stack = prefabStack;
+
+    if (node.prefab) {
+        const prefab = typeof node.prefab === 'string' ? world.prefabs.get(node.prefab) : node.prefab;
+        const name = prefab.name || '(inline)';
+        if (prefabStack.includes(name)) {
+            throw new Error(`Prefab cycle: ${[...prefabStack, name].join(' -> ')}`);
+        }
+        stack = [...prefabStack, name];
+
+        const resolved = resolveNode(world, prefab, {}, stack);
+        components = resolved.components;
+        children = resolved.children;
+    }
+
+    components = mergeComponents(components, node.components);
+    components = mergeComponents(components, node.overrides);
+    components = mergeComponents(components, withoutChildren(overrides));
+    children = [...children, ...(node.children || []).map(child => ({ ...child, stack }))];
+
+    return { components, children };
+}
+
+function withoutChildren(overrides) {
+    const { children, ...components } = overrides;
+    return components;
+}
+
+function mergeComponents(base, overrides = {}) {
+    const merged = { ...base };
+    for (const [componentName, data] of Object.entries(overrides)) {
+        merged[componentName] = data === null ? null : mergeData(merged[componentName] ?? {}, data);
+    }
+    return merged;
+}
+
+// Deep merge of plain objects; arrays and other values replace
+function mergeData(base, override) {
+    if (!isPlainObject(base) || !isPlainObject(override)) {
+        return override === undefined ? base : copyData(override);
+    }
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        merged[key] = mergeData(base[key], value);
+    }
+    return merged;
+}
+
+function copyData(value) {
+    if (Array.isArray(value)) return value.map(copyData);
+    if (isPlainObject(value)) return mergeData({}, value);
+    return value;
+}
+
+function buildComponent(world, componentName, data, context) {
+    const metadata = world.getComponentInfo(componentName);
+    const values = mergeData(copyData(metadata?.defaults ?? {}), data);
+    const serializer = world.serializers.get(componentName);
+    return serializer ? serializer.deserialize(values, context) : values;
+}
+
+function isPlainObject(value) {
+    if (value === null || typeof value !== 'object') return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+export class Scene {
+    constructor(definition) {
+        this.definition = parseScene(definition);
+        this.name = this.definition.name || 'scene';
+        this.world = null;
+        this.roots = []; // Instance roots, in definition order
+    }
+
+    isLoaded() {
+        return this.world !== null;
+    }
+
+    // Prefabs the scene uses must already be registered (see AssetLoader.loadScene)
+    load(world, context = {}) {
+        if (this.world) {
+            throw new Error(`Scene "${this.name}" is already loaded`);
+        }
+
+        this.world = world;
+        try {
+            for (const node of this.definition.entities) {
+                this.roots.push(instantiatePrefab(world, node, {}, context));
+            }
+        } catch (error) {
+            // Leave nothing half-loaded behind
+            this.unload();
+            throw error;
+        }
+        return this;
+    }
+
+    unload() {
+        if (!this.world) return;
+
+        for (let i = this.roots.length - 1; i >= 0; i--) {
+            if (this.world.isAlive(this.roots[i])) {
+                destroyPrefabInstance(this.world, this.roots[i]);
+            }
+        }
+        this.roots = [];
+        this.world = null;
+    }
+}
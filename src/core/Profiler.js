@@ -0,0 +1,229 @@
+import { systemClock } from './Clock.js';
+
+/**
+ * Profiler
+ * Collects CPU timings per system, per phase and per frame, plus frame counters
+ * (fixed steps, entities, archetypes, draw calls, triangles). Keeps a rolling
+ * history for graphs and can record Chrome trace events (chrome://tracing,
+ * Perfetto) for offline analysis.
+ *
+ * Timings are grouped into categories: 'system', 'phase', or anything passed to
+ * begin()/measure() from game code, e.g. profiler.measure('chunks', 'mesh', fn).
+ */
+export class Profiler {
+    constructor({ clock = systemClock, historySize = 240, maxTraceEvents = 200000 } = {}) {
+        this.clock = clock;
+        this.enabled = false;
+        this.historySize = historySize;
+
+        // Map<"category:name", { category, name, frameTime, calls, history, cursor }>
+        this.samples = new Map();
+        this.frameStart = 0;
+        this.frameHistory = new Float32Array(historySize);
+        this.frameCursor = 0;
+        this.frameCount = 0;
+        this.counters = {
+            fixedSteps: 0,
+            entities: 0,
+            archetypes: 0,
+            components: 0,
+            drawCalls: 0,
+            triangles: 0
+        };
+
+        // Chrome trace events, recorded only between startTrace() and stopTrace()
+        this.tracing = false;
+        this.traceEvents = [];
+        this.maxTraceEvents = maxTraceEvents;
+
+        this.frameListeners = new Set();
+    }
+
+    enable() {
+        this.enabled = true;
+    }
+
+    disable() {
+        this.enabled = false;
+    }
+
+    // Returns a token for end(); cheap enough to leave in hot paths
+    begin() {
+        return this.clock.now();
+    }
+
+    end(category, name, startTime) {
+        const endTime = this.clock.now();
+        const sample = this.getSample(category, name);
+        sample.frameTime += endTime - startTime;
+        sample.calls++;
+
+        if (this.tracing && this.traceEvents.length < this.maxTraceEvents) {
+            this.traceEvents.push({
+                name,
+                cat: category,
+                ph: 'X',
+                ts: startTime * 1000, // microseconds
+                dur: (endTime - startTime) * 1000,
+                pid: 1,
+                tid: 1
+            });
+        }
+    }
+
+    // Time a function; returns its result
+    measure(category, name, fn) {
+        if (!this.enabled) return fn();
+
+        const start = this.begin();
+        try {
+            return fn();
+        } finally {
+            this.end(category, name, start);
+        }
+    }
+
+    getSample(category, name) {
+        const key = `${category}:${name}`;
+        let sample = this.samples.get(key);
+        if (!sample) {
+            sample = {
+                category,
+                name,
+                frameTime: 0,
+                calls: 0,
+                history: new Float32Array(this.historySize),
+                cursor: 0,
+                frames: 0
+            };
+            this.samples.set(key, sample);
+        }
+        return sample;
+    }
+
+    beginFrame() {
+        this.frameStart = this.clock.now();
+    }
+
+    // counters: { fixedSteps, entities, archetypes, components, drawCalls, triangles }
+    endFrame(counters = {}) {
+        const endTime = this.clock.now();
+        const frameTime = endTime - this.frameStart;
+
+        this.frameHistory[this.frameCursor] = frameTime;
+        this.frameCursor = (this.frameCursor + 1) % this.historySize;
+        this.frameCount++;
+        Object.assign(this.counters, counters);
+
+        for (const sample of this.samples.values()) {
+            sample.history[sample.cursor] = sample.frameTime;
+            sample.cursor = (sample.cursor + 1) % this.historySize;
+            sample.frames++;
+            sample.lastFrameTime = sample.frameTime;
+            sample.lastCalls = sample.calls;
+            sample.frameTime = 0;
+            sample.calls = 0;
+        }
+
+        if (this.tracing && this.traceEvents.length < this.maxTraceEvents) {
+            this.traceEvents.push({
+                name: 'Frame',
+                cat: 'frame',
+                ph: 'X',
+                ts: this.frameStart * 1000,
+                dur: frameTime * 1000,
+                pid: 1,
+                tid: 1,
+                args: { ...this.counters }
+            });
+        }
+
+        for (const listener of this.frameListeners) {
+            listener(this);
+        }
+    }
+
+    // Called after every endFrame(); returns an unsubscribe function
+    onFrame(listener) {
+        this.frameListeners.add(listener);
+        return () => this.frameListeners.delete(listener);
+    }
+
+    // Summary of the rolling history: { frame, counters, samples: [...] }, in ms
+    getReport() {
+        const samples = [];
+        for (const sample of this.samples.values()) {
+            samples.push({
+                category: sample.category,
+                name: sample.name,
+                last: sample.lastFrameTime ?? 0,
+                calls: sample.lastCalls ?? 0,
+                ...summarize(sample.history, Math.min(sample.frames, this.historySize))
+            });
+        }
+        samples.sort((a, b) => b.average - a.average);
+
+        return {
+            frame: {
+                last: this.getLastFrameTime(),
+                ...summarize(this.frameHistory, Math.min(this.frameCount, this.historySize))
+            },
+            counters: { ...this.counters },
+            samples
+        };
+    }
+
+    getLastFrameTime() {
+        return this.frameHistory[(this.frameCursor + this.historySize - 1) % this.historySize];
+    }
+
+    // Rolling history, oldest first, for graphs
+    getHistory(category, name) {
+        const sample = category === 'frame' ? null : this.samples.get(`${category}:${name}`);
+        const history = sample ? sample.history : this.frameHistory;
+        const cursor = sample ? sample.cursor : this.frameCursor;
+        return Float32Array.from({ length: this.historySize }, (_, i) => history[(cursor + i) % this.historySize]);
+    }
+
+    reset() {
+        this.samples.clear();
+        this.frameHistory.fill(0);
+        this.frameCursor = 0;
+        this.frameCount = 0;
+    }
+
+    // Tracing
+    startTrace() {
+        this.traceEvents = [];
+        this.tracing = true;
+    }
+
+    // Stops recording and returns the trace as Chrome trace-event JSON text
+    stopTrace() {
+        this.tracing = false;
+        return this.exportTrace();
+    }
+
+    exportTrace() {
+        return JSON.stringify({
+            traceEvents: [
+                { name: 'process_name', ph: 'M', pid: 1, args: { name: 'Mekeni Engine' } },
+                { name: 'thread_name', ph: 'M', pid: 1, tid: 1, args: { name: 'Main' } },
+                ...this.traceEvents
+            ],
+            displayTimeUnit: 'ms'
+        });
+    }
+}
+
+function summarize(history, count) {
+    if (count === 0) return { average: 0, max: 0 };
+
+    let total = 0;
+    let max = 0;
+    for (let i = 0; i < count; i++) {
+        total += history[i];
+        max = Math.max(max, history[i]);
+    }
+    return { average: total / count, max };
+}
@@ -0,0 +1,178 @@
+/**
+ * Query filter terms
+ * Pass these to world.query() alongside plain component names:
+ *
+ *   world.query('Transform', Without('Static'), Optional('MeshRenderer'))
+ *   world.query('Transform', 'Physics', Added('Physics'))
+ */
+export function Without(componentName) {
+    return { kind: 'without', component: componentName };
+}
+
+export function Optional(componentName) {
+    return { kind: 'optional', component: componentName };
+}
+
+// Component was added since the query last ran (implies the component is required)
+export function Added(componentName) {
+    return { kind: 'added', component: componentName };
+}
+
+// Component was added or modified since the query last ran (implies the component is required)
+export function Changed(componentName) {
+    return { kind: 'changed', component: componentName };
+}
+
+const TERM_PREFIXES = { required: '', without: '!', optional: '?', added: '+', changed: '~' };
+
+/**
+ * Query - Persistent, incrementally maintained set of entities matching a set of terms
+ * The World keeps queries up to date as components are added and removed,
+ * so reading the results costs nothing beyond iterating the matching entities.
+ *
+ * Added/Changed filters are evaluated against the query's own last run, and an
+ * entity that newly started matching the query counts as added and changed.
+ */
+export class Query {
+    constructor(world, terms) {
+        this.world = world;
+        this.terms = terms.map(Query.normalizeTerm);
+        this.key = Query.keyFor(terms);
+
+        this.required = [];
+        this.without = [];
+        this.optional = [];
+        this.added = [];
+        this.changed = [];
+        for (const { kind, component } of this.terms) {
+            if (kind === 'without') {
+                this.without.push(component);
+            } else if (kind === 'optional') {
+                this.optional.push(component);
+            } else {
+                if (!this.required.includes(component)) this.required.push(component);
+                if (kind === 'added') this.added.push(component);
+                if (kind === 'changed') this.changed.push(component);
+            }
+        }
+        this.componentNames = [...this.required, ...this.optional];
+        this.hasChangeFilters = this.added.length > 0 || this.changed.length > 0;
+
+        // Live result list: [{ id, [componentName]: data }]
+        // Order is not stable; structural changes swap-remove entries.
+        this.results = [];
+        this.indices = new Map(); // Map<entityId, index into results>
+
+        // Change detection state
+        this.lastRunTick = -1;
+        this.enterTicks = new Map(); // Map<entityId, tick the entity started matching>
+    }
+
+    static normalizeTerm(term) {
+        return typeof term === 'string' ? { kind: 'required', component: term } : term;
+    }
+
+    static keyFor(terms) {
+        return terms
+            .map(Query.normalizeTerm)
+            .map(({ kind, component }) => TERM_PREFIXES[kind] + component)
+            .sort()
+            .join('|');
+    }
+
+    matches(archetype) {
+        return this.required.every(name => archetype.has(name)) &&
+            !this.without.some(name => archetype.has(name));
+    }
+
+    has(entityId) {
+        return this.indices.has(entityId);
+    }
+
+    get size() {
+        return this.results.length;
+    }
+
+    add(entityId) {
+        if (this.indices.has(entityId)) return;
+
+        const record = { id: entityId };
+        this.fillRecord(record);
+        this.indices.set(entityId, this.results.length);
+        this.results.push(record);
+
+        if (this.hasChangeFilters) {
+            this.enterTicks.set(entityId, this.world.changeTick);
+        }
+    }
+
+    remove(entityId) {
+        const index = this.indices.get(entityId);
+        if (index === undefined) return;
+
+        const last = this.results.pop();
+        if (index < this.results.length) {
+            this.results[index] = last;
+            this.indices.set(last.id, index);
+        }
+        this.indices.delete(entityId);
+        this.enterTicks.delete(entityId);
+    }
+
+    // Re-read component data for an entity already in the results
+    update(entityId) {
+        const index = this.indices.get(entityId);
+        if (index !== undefined) {
+            this.fillRecord(this.results[index]);
+        }
+    }
+
+    fillRecord(record) {
+        for (const componentName of this.componentNames) {
+            record[componentName] = this.world.getComponent(record.id, componentName);
+        }
+    }
+
+    // Results for this run, as a new array: entities can be destroyed or change
+    // components while it is iterated without others being skipped.
+    // With change filters it holds only the entities that pass.
+    execute() {
+        if (!this.hasChangeFilters) {
+            return this.results.slice();
+        }
+
+        const since = this.lastRunTick;
+        const passed = this.results.filter(record => this.passesChangeFilters(record.id, since));
+
+        this.lastRunTick = this.world.changeTick;
+        this.world.changeTick++;
+
+        return passed;
+    }
+
+    passesChangeFilters(entityId, since) {
+        if (this.enterTicks.get(entityId) > since) {
+            return true;
+        }
+
+        for (const componentName of this.added) {
+            if (this.world.getComponentTicks(entityId, componentName).added <= since) {
+                return false;
+            }
+        }
+        for (const componentName of this.changed) {
+            if (this.world.getComponentTicks(entityId, componentName).changed <= since) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    getEntities() {
+        return this.execute().map(record => record.id);
+    }
+
+    [Symbol.iterator]() {
+        return this.execute()[Symbol.iterator]();
+    }
+}
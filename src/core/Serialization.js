@@ -0,0 +1,476 @@
+import { Transform } from '../components/Transform.js';
+import { Physics } from '../components/Physics.js';
+import { Input } from '../components/Input.js';
+import { MeshRenderer } from '../components/MeshRenderer.js';
+import { Collider } from '../components/Collider.js';
+
+/**
+ * World Serialization
+ * Snapshots are versioned plain objects:
+ *   { format: 'mekeni-world', version: 1, random: { seed, state },
+ *     entities: [{ id, components: { name: data } }] }
+ * They can be written as JSON text or as a compact binary encoding.
+ */
+export const SNAPSHOT_FORMAT = 'mekeni-world';
+export const SNAPSHOT_VERSION = 1;
+
+const BINARY_MAGIC = [0x4d, 0x4b, 0x4e, 0x57]; // "MKNW"
+
+/**
+ * Serializer Registry
+ * Maps component names to { serialize(data, context) -> plain, deserialize(plain, context) -> data }
+ * and an optional link(data, plain, context), called once every entity is loaded
+ * to resolve references between components (e.g. Transform parents).
+ */
+export class SerializerRegistry {
+    constructor(serializers = {}) {
+        this.serializers = new Map(Object.entries(serializers));
+    }
+
+    register(componentName, serializer) {
+        if (typeof serializer.serialize !== 'function' || typeof serializer.deserialize !== 'function') {
+            throw new Error(`Serializer for ${componentName} must implement serialize() and deserialize()`);
+        }
+        this.serializers.set(componentName, serializer);
+        return this;
+    }
+
+    unregister(componentName) {
+        this.serializers.delete(componentName);
+    }
+
+    get(componentName) {
+        return this.serializers.get(componentName);
+    }
+
+    has(componentName) {
+        return this.serializers.has(componentName);
+    }
+
+    clone() {
+        return new SerializerRegistry(Object.fromEntries(this.serializers));
+    }
+}
+
+// Serializer for components exposing toJSON() and a static fromJSON(data, context)
+export function classSerializer(ComponentClass) {
+    return {
+        serialize: data => data.toJSON(),
+        deserialize: (data, context) => ComponentClass.fromJSON(data, context)
+    };
+}
+
+// Serializer for registered components without toJSON(): saves the schema
+// fields (skipping live 'any'/'function' fields) and rebuilds through the registry
+export function schemaSerializer(metadata, registry) {
+    const fields = Object.entries(metadata.schema)
+        .filter(([, descriptor]) => descriptor.type !== 'any' && descriptor.type !== 'function')
+        .map(([field]) => field);
+
+    return {
+        serialize: data => {
+            const plain = {};
+            for (const field of fields) {
+                if (data[field] !== undefined) {
+                    plain[field] = JSON.parse(JSON.stringify(data[field]));
+                }
+            }
+            return plain;
+        },
+        deserialize: data => registry.create(metadata.name, data)
+    };
+}
+
+// Plain-object components without a registered serializer are copied as JSON
+const plainObjectSerializer = {
+    serialize: data => JSON.parse(JSON.stringify(data)),
+    deserialize: data => data
+};
+
+function isPlainObject(value) {
+    if (value === null || typeof value !== 'object') return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+// Transforms save their parent as an entity reference and are reattached,
+// keeping their saved local values, once every entity is loaded
+const transformSerializer = {
+    serialize: (transform, { entityOf } = {}) => ({
+        ...transform.toJSON(),
+        parent: transform.parent ? entityOf?.(transform.parent) ?? null : null
+    }),
+    deserialize: data => Transform.fromJSON(data),
+    link: (transform, data, { world, entityMap }) => {
+        if (data.parent == null) return;
+        const parentId = entityMap.get(data.parent);
+        const parent = parentId === undefined ? null : world.getComponent(parentId, 'Transform');
+        if (parent) {
+            transform.setParent(parent);
+        }
+    }
+};
+
+export const defaultSerializers = new SerializerRegistry({
+    Transform: transformSerializer,
+    Physics: classSerializer(Physics),
+    Input: classSerializer(Input),
+    MeshRenderer: classSerializer(MeshRenderer),
+    Collider: classSerializer(Collider)
+});
+
+// Build a snapshot object from a world
+export function createSnapshot(world, { serializers = defaultSerializers } = {}) {
+    const entities = [];
+    const skipped = new Set();
+
+    // Serializers look up which entity owns a referenced component through entityOf()
+    let owners = null;
+    const entityOf = component => {
+        if (!owners) {
+            owners = new Map();
+            for (const entityId of world.entities) {
+                const { archetype, row } = world.entityLocations.get(entityId);
+                for (const componentName of archetype.componentNames) {
+                    owners.set(archetype.get(row, componentName), entityId);
+                }
+            }
+        }
+        return owners.get(component) ?? null;
+    };
+    const serializeContext = { world, entityOf };
+
+    for (const entityId of world.entities) {
+        const components = {};
+        const { archetype, row } = world.entityLocations.get(entityId);
+
+        for (const componentName of archetype.componentNames) {
+            const data = archetype.get(row, componentName);
+            const serializer = serializers.get(componentName) ||
+                (isPlainObject(data) ? plainObjectSerializer : null);
+
+            if (serializer) {
+                components[componentName] = serializer.serialize(data, serializeContext);
+            } else {
+                skipped.add(componentName);
+            }
+        }
+
+        entities.push({ id: entityId, components });
+    }
+
+    if (skipped.size > 0) {
+        console.warn('World snapshot skipped components without a serializer:', [...skipped].join(', '));
+    }
+
+    // The generator state is part of the simulation: a restored world must roll the same numbers
+    const random = { seed: world.random.seed, state: world.random.getState() };
+
+    return { format: SNAPSHOT_FORMAT, version: SNAPSHOT_VERSION, random, entities };
+}
+
+// Create entities from a snapshot. Returns Map<savedEntityId, newEntityId>.
+// `context` is passed to every deserialize() call (e.g. { resolveAsset }).
+export function loadSnapshot(world, snapshot, { serializers = defaultSerializers, context = {} } = {}) {
+    if (snapshot?.format !== SNAPSHOT_FORMAT) {
+        throw new Error('Not a world snapshot');
+    }
+    if (snapshot.version > SNAPSHOT_VERSION) {
+        throw new Error(`World snapshot version ${snapshot.version} is newer than supported version ${SNAPSHOT_VERSION}`);
+    }
+
+    // Allocate every entity first so serializers can remap entity references
+    const entityMap = new Map();
+    for (const entity of snapshot.entities) {
+        entityMap.set(entity.id, world.createEntity());
+    }
+
+    const deserializeContext = { ...context, world, entityMap };
+    const links = [];
+    for (const entity of snapshot.entities) {
+        const entityId = entityMap.get(entity.id);
+        for (const [componentName, data] of Object.entries(entity.components)) {
+            const serializer = serializers.get(componentName) || plainObjectSerializer;
+            const component = serializer.deserialize(data, deserializeContext);
+            world.addComponent(entityId, componentName, component);
+            if (serializer.link) {
+                links.push(() => serializer.link(component, data, deserializeContext));
+            }
+        }
+    }
+
+    // References between entities can point either way, so resolve them last
+    for (const link of links) {
+        link();
+    }
+
+    return entityMap;
+}
+
+// Accepts a snapshot object, JSON text, or binary data
+export function parseSnapshot(input) {
+    if (typeof input === 'string') {
+        return JSON.parse(input);
+    }
+    if (input instanceof ArrayBuffer || ArrayBuffer.isView(input)) {
+        return decodeBinarySnapshot(input);
+    }
+    return input;
+}
+
+/**
+ * Binary encoding
+ * Layout: "MKNW" | u8 version | string table | tagged root value
+ * Strings (object keys and values) are stored once in the table and referenced
+ * by index; integers use zigzag varints, other numbers float32 when that is
+ * lossless and float64 otherwise.
+ */
+const TAG_NULL = 0;
+const TAG_FALSE = 1;
+const TAG_TRUE = 2;
+const TAG_INT = 3;
+const TAG_FLOAT = 4;
+const TAG_STRING = 5;
+const TAG_ARRAY = 6;
+const TAG_OBJECT = 7;
+const TAG_FLOAT32 = 8;
+
+const MAX_VARINT_INT = 2 ** 31;
+
+class BinaryWriter {
+    constructor(capacity = 1024) {
+        this.bytes = new Uint8Array(capacity);
+        this.view = new DataView(this.bytes.buffer);
+        this.length = 0;
+    }
+
+    ensure(extra) {
+        if (this.length + extra <= this.bytes.length) return;
+
+        let capacity = this.bytes.length * 2;
+        while (capacity < this.length + extra) capacity *= 2;
+
+        const bytes = new Uint8Array(capacity);
+        bytes.set(this.bytes.subarray(0, this.length));
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer);
+    }
+
+    writeByte(value) {
+        this.ensure(1);
+        this.bytes[this.length++] = value;
+    }
+
+    writeBytes(bytes) {
+        this.ensure(bytes.length);
+        this.bytes.set(bytes, this.length);
+        this.length += bytes.length;
+    }
+
+    writeVarUint(value) {
+        while (value >= 0x80) {
+            this.writeByte((value % 0x80) | 0x80);
+            value = Math.floor(value / 0x80);
+        }
+        this.writeByte(value);
+    }
+
+    writeFloat64(value) {
+        this.ensure(8);
+        this.view.setFloat64(this.length, value, true);
+        this.length += 8;
+    }
+
+    writeFloat32(value) {
+        this.ensure(4);
+        this.view.setFloat32(this.length, value, true);
+        this.length += 4;
+    }
+
+    finish() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+class BinaryReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.offset = 0;
+    }
+
+    readByte() {
+        if (this.offset >= this.bytes.length) {
+            throw new Error('Unexpected end of binary snapshot');
+        }
+        return this.bytes[this.offset++];
+    }
+
+    readBytes(length) {
+        const bytes = this.bytes.subarray(this.offset, this.offset + length);
+        this.offset += length;
+        return bytes;
+    }
+
+    readVarUint() {
+        let value = 0;
+        let multiplier = 1;
+        let byte;
+        do {
+            byte = this.readByte();
+            value += (byte & 0x7f) * multiplier;
+            multiplier *= 0x80;
+        } while (byte & 0x80);
+        return value;
+    }
+
+    readFloat64() {
+        const value = this.view.getFloat64(this.offset, true);
+        this.offset += 8;
+        return value;
+    }
+
+    readFloat32() {
+        const value = this.view.getFloat32(this.offset, true);
+        this.offset += 4;
+        return value;
+    }
+}
+
+function collectStrings(value, strings) {
+    if (typeof value === 'string') {
+        strings.add(value);
+    } else if (Array.isArray(value)) {
+        for (const item of value) collectStrings(item, strings);
+    } else if (value !== null && typeof value === 'object') {
+        for (const [key, item] of Object.entries(value)) {
+            if (item === undefined) continue;
+            strings.add(key);
+            collectStrings(item, strings);
+        }
+    }
+}
+
+function writeValue(writer, value, stringIndices) {
+    if (value === null || value === undefined) {
+        writer.writeByte(TAG_NULL);
+    } else if (value === false) {
+        writer.writeByte(TAG_FALSE);
+    } else if (value === true) {
+        writer.writeByte(TAG_TRUE);
+    } else if (typeof value === 'number') {
+        if (Number.isInteger(value) && Math.abs(value) < MAX_VARINT_INT && !Object.is(value, -0)) {
+            writer.writeByte(TAG_INT);
+            writer.writeVarUint(value < 0 ? -value * 2 - 1 : value * 2); // zigzag
+        } else if (Math.fround(value) === value) {
+            writer.writeByte(TAG_FLOAT32);
+            writer.writeFloat32(value);
+        } else {
+            writer.writeByte(TAG_FLOAT);
+            writer.writeFloat64(value);
+        }
+    } else if (typeof value === 'string') {
+        writer.writeByte(TAG_STRING);
+        writer.writeVarUint(stringIndices.get(value));
+    } else if (Array.isArray(value)) {
+        writer.writeByte(TAG_ARRAY);
+        writer.writeVarUint(value.length);
+        for (const item of value) writeValue(writer, item, stringIndices);
+    } else if (typeof value === 'object') {
+        const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+        writer.writeByte(TAG_OBJECT);
+        writer.writeVarUint(entries.length);
+        for (const [key, item] of entries) {
+            writer.writeVarUint(stringIndices.get(key));
+            writeValue(writer, item, stringIndices);
+        }
+    } else {
+        throw new Error(`Cannot encode value of type ${typeof value} in binary snapshot`);
+    }
+}
+
+function readValue(reader, strings) {
+    const tag = reader.readByte();
+    switch (tag) {
+        case TAG_NULL:
+            return null;
+        case TAG_FALSE:
+            return false;
+        case TAG_TRUE:
+            return true;
+        case TAG_INT: {
+            const zigzag = reader.readVarUint();
+            return zigzag % 2 === 0 ? zigzag / 2 : -(zigzag + 1) / 2;
+        }
+        case TAG_FLOAT:
+            return reader.readFloat64();
+        case TAG_FLOAT32:
+            return reader.readFloat32();
+        case TAG_STRING:
+            return strings[reader.readVarUint()];
+        case TAG_ARRAY: {
+            const length = reader.readVarUint();
+            const array = new Array(length);
+            for (let i = 0; i < length; i++) array[i] = readValue(reader, strings);
+            return array;
+        }
+        case TAG_OBJECT: {
+            const count = reader.readVarUint();
+            const object = {};
+            for (let i = 0; i < count; i++) {
+                const key = strings[reader.readVarUint()];
+                object[key] = readValue(reader, strings);
+            }
+            return object;
+        }
+        default:
+            throw new Error(`Invalid tag ${tag} in binary snapshot`);
+    }
+}
+
+export function encodeBinarySnapshot(snapshot) {
+    const strings = new Set();
+    collectStrings(snapshot, strings);
+
+    const encoder = new TextEncoder();
+    const writer = new BinaryWriter();
+    writer.writeBytes(BINARY_MAGIC);
+    writer.writeByte(snapshot.version);
+
+    const stringIndices = new Map();
+    writer.writeVarUint(strings.size);
+    for (const string of strings) {
+        const bytes = encoder.encode(string);
+        stringIndices.set(string, stringIndices.size);
+        writer.writeVarUint(bytes.length);
+        writer.writeBytes(bytes);
+    }
+
+    writeValue(writer, snapshot, stringIndices);
+    return writer.finish();
+}
+
+export function decodeBinarySnapshot(input) {
+    const bytes = input instanceof ArrayBuffer
+        ? new Uint8Array(input)
+        : new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+    const reader = new BinaryReader(bytes);
+
+    for (const expected of BINARY_MAGIC) {
+        if (reader.readByte() !== expected) {
+            throw new Error('Not a binary world snapshot');
+        }
+    }
+    const version = reader.readByte();
+    if (version > SNAPSHOT_VERSION) {
+        throw new Error(`World snapshot version ${version} is newer than supported version ${SNAPSHOT_VERSION}`);
+    }
+
+    const decoder = new TextDecoder();
+    const strings = new Array(reader.readVarUint());
+    for (let i = 0; i < strings.length; i++) {
+        strings[i] = decoder.decode(reader.readBytes(reader.readVarUint()));
+    }
+
+    return readValue(reader, strings);
+}
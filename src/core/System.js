@@ -3,15 +3,26 @@
  * All systems should extend this class
  */
 export class System {
-    constructor(name, phase = 'update') {
+    constructor(name, phase = 'update', { runsAfter = [], runsBefore = [], priority = 0, unscaledTime = false } = {}) {
         this.name = name;
-        this.phase = phase; // 'update', 'render', 'physics', etc.
+        this.phase = phase; // Stage name: 'physics', 'update', 'render', or a custom stage
         this.enabled = true;
-        this.priority = 0; // Lower numbers run first
+
+        // Ordering within the stage: names of systems this one must run after/before.
+        // Priority only breaks ties between systems with no constraint between them.
+        this.runsAfter = [...runsAfter];
+        this.runsBefore = [...runsBefore];
+        this.priority = priority; // Lower numbers run first
+
+        // Unscaled systems receive real elapsed time, ignoring the engine's
+        // timeScale (UI, input, debug cameras keep running in slow motion)
+        this.unscaledTime = unscaledTime;
     }
 
-    // Override this method in derived systems
-    execute(world, deltaTime) {
+    // Override this method in derived systems. Structural changes (spawning,
+    // despawning, adding/removing components) should go through `commands`,
+    // which the engine flushes after the phase finishes.
+    execute(world, deltaTime, commands) {
         throw new Error(`System ${this.name} must implement execute() method`);
     }
 
@@ -42,57 +53,304 @@ export class System {
     }
 }
 
+/**
+ * Topologically sort `items` so every edge [from, to] has `from` first.
+ * Ties are broken by `compare`. Throws with the offending cycle if there is one.
+ */
+function orderByConstraints(items, edges, compare, describe) {
+    const incoming = new Map(items.map(item => [item, 0]));
+    const outgoing = new Map(items.map(item => [item, []]));
+    for (const [from, to] of edges) {
+        outgoing.get(from).push(to);
+        incoming.set(to, incoming.get(to) + 1);
+    }
+
+    const ready = items.filter(item => incoming.get(item) === 0);
+    const ordered = [];
+    while (ready.length > 0) {
+        ready.sort(compare);
+        const item = ready.shift();
+        ordered.push(item);
+        for (const next of outgoing.get(item)) {
+            incoming.set(next, incoming.get(next) - 1);
+            if (incoming.get(next) === 0) {
+                ready.push(next);
+            }
+        }
+    }
+
+    if (ordered.length < items.length) {
+        const cycle = findCycle(items.filter(item => incoming.get(item) > 0), outgoing);
+        throw new Error(`${describe} has a dependency cycle (a -> b means a runs before b): ${cycle.map(item => item.name).join(' -> ')}`);
+    }
+
+    return ordered;
+}
+
+function findCycle(remaining, outgoing) {
+    const candidates = new Set(remaining);
+    const path = [];
+    const onPath = new Set();
+    const visited = new Set();
+
+    const visit = (item) => {
+        path.push(item);
+        onPath.add(item);
+        visited.add(item);
+        for (const next of outgoing.get(item)) {
+            if (!candidates.has(next)) continue;
+            if (onPath.has(next)) {
+                return [...path.slice(path.indexOf(next)), next];
+            }
+            if (!visited.has(next)) {
+                const cycle = visit(next);
+                if (cycle) return cycle;
+            }
+        }
+        path.pop();
+        onPath.delete(item);
+        return null;
+    };
+
+    for (const item of remaining) {
+        if (!visited.has(item)) {
+            const cycle = visit(item);
+            if (cycle) return cycle;
+        }
+    }
+    return remaining;
+}
+
 /**
  * System Manager - handles system registration and execution order
+ *
+ * Systems run in stages. Fixed stages run once per fixed timestep, frame stages
+ * once per rendered frame. The defaults are 'physics' -> 'update' (fixed) and
+ * 'render' (frame); addStage() defines more. Within a stage, systems are
+ * ordered by their runsAfter/runsBefore constraints, then by priority.
  */
 export class SystemManager {
     constructor() {
         this.systems = [];
         this.systemsByPhase = new Map();
+        this.systemsByName = new Map();
+        this.world = null; // Set once systems are initialized
+        this.profiler = null; // Optional Profiler timing every system and phase
+
+        this.stages = new Map(); // Map<name, { name, fixed, runsAfter, runsBefore, index }>
+        this.fixedStages = [];
+        this.frameStages = [];
+        this.dirty = true;
+
+        this.addStage('physics', { fixed: true });
+        this.addStage('update', { fixed: true, runsAfter: ['physics'] });
+        this.addStage('render', { fixed: false });
+    }
+
+    // Define a stage. Fixed stages only order against fixed stages, and frame
+    // stages against frame stages.
+    addStage(name, { fixed = true, runsAfter = [], runsBefore = [] } = {}) {
+        if (this.stages.has(name)) {
+            throw new Error(`Stage "${name}" already exists`);
+        }
+
+        this.stages.set(name, { name, fixed, runsAfter, runsBefore, index: this.stages.size });
+        this.dirty = true;
+    }
+
+    hasStage(name) {
+        return this.stages.has(name);
     }
 
     addSystem(system) {
+        if (!system.name) {
+            throw new Error('Systems must have a name');
+        }
+        if (this.systemsByName.has(system.name)) {
+            throw new Error(`A system named "${system.name}" is already registered`);
+        }
+
         this.systems.push(system);
+        this.systemsByName.set(system.name, system);
         
         if (!this.systemsByPhase.has(system.phase)) {
             this.systemsByPhase.set(system.phase, []);
         }
         
         this.systemsByPhase.get(system.phase).push(system);
+        this.dirty = true;
+
+        // Systems added after initialization are initialized right away
+        if (this.world) {
+            system.onInit?.(this.world);
+        }
         
-        // Sort by priority (lower numbers first)
-        this.systemsByPhase.get(system.phase).sort((a, b) => a.priority - b.priority);
+        return system;
+    }
+
+    removeSystem(nameOrClass) {
+        const system = this.getSystem(nameOrClass);
+        if (!system) return null;
+
+        this.systems.splice(this.systems.indexOf(system), 1);
+        this.systemsByName.delete(system.name);
+        
+        const phaseArray = this.systemsByPhase.get(system.phase);
+        phaseArray.splice(phaseArray.indexOf(system), 1);
+        this.dirty = true;
         
+        system.onDestroy?.();
         return system;
     }
 
-    removeSystem(systemName) {
-        const index = this.systems.findIndex(s => s.name === systemName);
-        if (index !== -1) {
-            const system = this.systems[index];
-            this.systems.splice(index, 1);
-            
-            const phaseArray = this.systemsByPhase.get(system.phase);
-            const phaseIndex = phaseArray.findIndex(s => s.name === systemName);
-            if (phaseIndex !== -1) {
-                phaseArray.splice(phaseIndex, 1);
+    // Swap a registered system for another, keeping its registration order.
+    // The old system is destroyed; the new one is initialized if the engine already is.
+    replaceSystem(nameOrClass, newSystem) {
+        const oldSystem = this.getSystem(nameOrClass);
+        if (!oldSystem) {
+            throw new Error(`Cannot replace unknown system ${this.describeSystemKey(nameOrClass)}`);
+        }
+        if (newSystem.name !== oldSystem.name && this.systemsByName.has(newSystem.name)) {
+            throw new Error(`A system named "${newSystem.name}" is already registered`);
+        }
+
+        this.systems[this.systems.indexOf(oldSystem)] = newSystem;
+        this.systemsByName.delete(oldSystem.name);
+        this.systemsByName.set(newSystem.name, newSystem);
+
+        const oldPhase = this.systemsByPhase.get(oldSystem.phase);
+        if (newSystem.phase === oldSystem.phase) {
+            oldPhase[oldPhase.indexOf(oldSystem)] = newSystem;
+        } else {
+            oldPhase.splice(oldPhase.indexOf(oldSystem), 1);
+            if (!this.systemsByPhase.has(newSystem.phase)) {
+                this.systemsByPhase.set(newSystem.phase, []);
+            }
+            this.systemsByPhase.get(newSystem.phase).push(newSystem);
+        }
+        this.dirty = true;
+
+        oldSystem.onDestroy?.();
+        if (this.world) {
+            newSystem.onInit?.(this.world);
+        }
+        return newSystem;
+    }
+
+    // Look up a system by name, or by class (the first system that is an instance of it)
+    getSystem(nameOrClass) {
+        if (typeof nameOrClass === 'function') {
+            return this.systems.find(system => system instanceof nameOrClass) || null;
+        }
+        return this.systemsByName.get(nameOrClass) || null;
+    }
+
+    // All systems that are instances of a class
+    getSystemsOfType(SystemClass) {
+        return this.systems.filter(system => system instanceof SystemClass);
+    }
+
+    hasSystem(nameOrClass) {
+        return this.getSystem(nameOrClass) !== null;
+    }
+
+    describeSystemKey(nameOrClass) {
+        return typeof nameOrClass === 'function' ? nameOrClass.name : `"${nameOrClass}"`;
+    }
+
+    // Resolve stage and system order. Throws on unknown stages and on cycles.
+    sortSystems() {
+        for (const system of this.systems) {
+            if (!this.stages.has(system.phase)) {
+                throw new Error(`System "${system.name}" uses unknown stage "${system.phase}"`);
             }
-            
-            system.onDestroy();
         }
+
+        const stages = [...this.stages.values()];
+        this.fixedStages = this.orderStages(stages.filter(stage => stage.fixed));
+        this.frameStages = this.orderStages(stages.filter(stage => !stage.fixed));
+
+        for (const [phase, systems] of this.systemsByPhase) {
+            this.systemsByPhase.set(phase, this.orderSystems(phase, systems));
+        }
+
+        this.dirty = false;
+    }
+
+    orderStages(stages) {
+        const byName = new Map(stages.map(stage => [stage.name, stage]));
+        const edges = [];
+        for (const stage of stages) {
+            for (const name of stage.runsAfter) {
+                if (byName.has(name)) edges.push([byName.get(name), stage]);
+            }
+            for (const name of stage.runsBefore) {
+                if (byName.has(name)) edges.push([stage, byName.get(name)]);
+            }
+        }
+
+        const ordered = orderByConstraints(stages, edges, (a, b) => a.index - b.index, 'Stage order');
+        return ordered.map(stage => stage.name);
+    }
+
+    orderSystems(phase, systems) {
+        const byName = new Map(systems.map(system => [system.name, system]));
+        const insertion = new Map(systems.map((system, index) => [system, index]));
+        const edges = [];
+
+        const resolve = (system, name, relation) => {
+            if (byName.has(name)) return byName.get(name);
+            if (!this.systems.some(other => other.name === name)) {
+                console.warn(`System "${system.name}" ${relation} unknown system "${name}"`);
+            }
+            // Systems in other stages are already ordered by the stage order
+            return null;
+        };
+
+        for (const system of systems) {
+            for (const name of system.runsAfter || []) {
+                const other = resolve(system, name, 'runsAfter');
+                if (other) edges.push([other, system]);
+            }
+            for (const name of system.runsBefore || []) {
+                const other = resolve(system, name, 'runsBefore');
+                if (other) edges.push([system, other]);
+            }
+        }
+
+        const compare = (a, b) => ((a.priority || 0) - (b.priority || 0)) || (insertion.get(a) - insertion.get(b));
+        return orderByConstraints(systems, edges, compare, `Stage "${phase}"`);
+    }
+
+    getFixedStages() {
+        if (this.dirty) this.sortSystems();
+        return this.fixedStages;
+    }
+
+    getFrameStages() {
+        if (this.dirty) this.sortSystems();
+        return this.frameStages;
     }
 
     getSystemsByPhase(phase) {
+        if (this.dirty) this.sortSystems();
         return this.systemsByPhase.get(phase) || [];
     }
 
-    executePhase(phase, world, deltaTime) {
+    executePhase(phase, world, deltaTime, commands, unscaledDeltaTime = deltaTime) {
         const systems = this.getSystemsByPhase(phase);
+        const profiler = this.profiler?.enabled ? this.profiler : null;
+        const phaseStart = profiler?.begin();
+
         for (const system of systems) {
             if (system.enabled) {
-                system.execute(world, deltaTime);
+                const start = profiler?.begin();
+                system.execute(world, system.unscaledTime ? unscaledDeltaTime : deltaTime, commands);
+                profiler?.end('system', system.name, start);
             }
         }
+
+        profiler?.end('phase', phase, phaseStart);
     }
 
     onResize(width, height) {
@@ -104,6 +362,7 @@ export class SystemManager {
     }
 
     initializeSystems(world) {
+        this.world = world;
         for (const system of this.systems) {
             if (system.onInit) {
                 system.onInit(world);
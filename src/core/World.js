@@ -1,92 +1,600 @@
+import { Archetype } from './Archetype.js';
+import { Query } from './Query.js';
+import {
+    makeEntityHandle,
+    entityIndex,
+    entityGeneration,
+    formatEntity,
+    MAX_ENTITY_INDEX,
+    MAX_ENTITY_GENERATION
+} from './Entity.js';
+import {
+    createSnapshot,
+    loadSnapshot,
+    parseSnapshot,
+    encodeBinarySnapshot,
+    defaultSerializers,
+    classSerializer,
+    schemaSerializer
+} from './Serialization.js';
+import { ComponentRegistry } from './ComponentRegistry.js';
+import { BuiltinComponents } from '../components/index.js';
+import { Random, hashString } from '../utils/Random.js';
+import {
+    PrefabRegistry,
+    PrefabInstanceComponent,
+    instantiatePrefab,
+    destroyPrefabInstance,
+    Scene
+} from './Prefab.js';
+
 /**
  * World - Entity Component System Registry
  * Manages entities, components, and provides querying capabilities
+ *
+ * Entities are grouped into archetypes (one per distinct component set) and
+ * queries are cached and updated incrementally, so iterating a query only
+ * touches the entities that match it.
+ *
+ * Entity ids are generational handles (see Entity.js): destroyed slots are
+ * recycled with a bumped generation, and isAlive() detects stale handles.
+ *
+ * Components can be referenced by name ('Transform') or, once registered with
+ * registerComponent(), by class (Transform). With `strictComponents` enabled,
+ * adding an unregistered component name throws instead of creating a new type.
  */
 export class World {
-    constructor() {
-        this.entities = new Set();
-        this.components = new Map(); // Map<componentName, Map<entityId, componentData>>
-        this.nextEntityId = 0;
-        this.entityComponents = new Map(); // Map<entityId, Set<componentName>>
+    constructor({ strictComponents = false, seed } = {}) {
+        this.entities = new Set(); // Live entity handles
+
+        // Random numbers for game logic; each world has its own sequence, so
+        // several engines in one process don't disturb each other's runs
+        this.random = new Random(seed);
+
+        // Entity slots
+        this.generations = []; // index -> current generation of that slot
+        this.freeIndices = []; // Recyclable slot indices
+        this.nextEntityIndex = 0;
+
+        // Archetype storage
+        this.archetypes = new Map(); // Map<archetypeKey, Archetype>
+        this.archetypesByComponent = new Map(); // Map<componentName, Set<Archetype>>
+        this.entityLocations = new Map(); // Map<entityId, { archetype, row }>
+
+        // Queries: shared ones are cached by key, private ones come from createQuery()
+        this.queries = new Map(); // Map<queryKey, Query>
+        this.queryList = [];
+
+        // Change detection: component cells are stamped with this tick when added or changed
+        this.changeTick = 0;
+
+        // Lifecycle observers
+        this.observers = {
+            add: new Map(), // Map<componentName, Set<callback>>
+            remove: new Map(), // Map<componentName, Set<callback>>
+            created: new Set(),
+            destroyed: new Set()
+        };
+
+        // Frame timing, maintained by the Engine and read by systems
+        this.time = {
+            delta: 0,       // Seconds covered by the current phase (scaled)
+            fixedDelta: 0,  // Seconds per fixed step (scaled)
+            unscaledDelta: 0,
+            unscaledFixedDelta: 0,
+            timeScale: 1,   // Engine time scale for the current step
+            alpha: 1,       // Render interpolation factor between the last two fixed steps
+            elapsed: 0,     // Simulated seconds (sum of scaled fixed steps)
+            fixedStep: 0,   // Fixed steps run so far
+            frame: 0        // Frames rendered so far
+        };
+
+        // Component serializers used by serialize()/loadSnapshot()
+        this.serializers = defaultSerializers.clone();
+
+        // Component types, schemas and defaults
+        this.registry = new ComponentRegistry();
+        this.strictComponents = strictComponents;
+        this.warnedComponentNames = new Set();
+        for (const [type, options] of BuiltinComponents) {
+            this.registerComponent(type, options);
+        }
+        this.registerComponent(null, PrefabInstanceComponent);
+
+        // Entity templates by name, for instantiate()
+        this.prefabs = new PrefabRegistry();
+
+        // Removed Transforms leave the hierarchy; their children keep their world placement
+        this.onRemove('Transform', (entityId, transform) => transform.detach());
+
+        this.emptyArchetype = this.getOrCreateArchetype([]);
     }
 
     // Entity Management
     createEntity() {
-        const id = this.nextEntityId++;
+        const id = this.allocateEntityHandle();
         this.entities.add(id);
-        this.entityComponents.set(id, new Set());
+
+        const row = this.emptyArchetype.addEntity(id, () => undefined);
+        this.entityLocations.set(id, { archetype: this.emptyArchetype, row });
+        for (const query of this.emptyArchetype.queries) {
+            query.add(id);
+        }
+
+        this.notifyEntity(this.observers.created, id);
         return id;
     }
 
     destroyEntity(entityId) {
         if (!this.entities.has(entityId)) return;
 
-        // Remove all components for this entity
-        const entityComps = this.entityComponents.get(entityId);
-        for (const componentName of entityComps) {
-            this.components.get(componentName)?.delete(entityId);
+        // Let observers release resources while the entity is still intact
+        for (const componentName of this.entityLocations.get(entityId).archetype.componentNames) {
+            this.notifyComponent(this.observers.remove, componentName, entityId);
+        }
+
+        // Observers may have moved rows around, so look the location up afterwards
+        const { archetype, row } = this.entityLocations.get(entityId);
+        for (const query of archetype.queries) {
+            query.remove(entityId);
         }
+        this.removeFromArchetype(archetype, row);
 
         // Clean up entity references
         this.entities.delete(entityId);
-        this.entityComponents.delete(entityId);
+        this.entityLocations.delete(entityId);
+        this.releaseEntityHandle(entityId);
+
+        this.notifyEntity(this.observers.destroyed, entityId);
+    }
+
+    // True only for handles whose entity exists and whose slot has not been recycled
+    isAlive(entityId) {
+        return this.entities.has(entityId);
+    }
+
+    allocateEntityHandle() {
+        let index;
+        if (this.freeIndices.length > 0) {
+            index = this.freeIndices.pop();
+        } else {
+            if (this.nextEntityIndex > MAX_ENTITY_INDEX) {
+                throw new Error(`Cannot create more than ${MAX_ENTITY_INDEX + 1} entities`);
+            }
+            index = this.nextEntityIndex++;
+            this.generations[index] = 0;
+        }
+        return makeEntityHandle(index, this.generations[index]);
+    }
+
+    releaseEntityHandle(entityId) {
+        const index = entityIndex(entityId);
+        const generation = this.generations[index] + 1;
+
+        // A slot that exhausted its generations is retired rather than risk reusing a handle
+        if (generation <= MAX_ENTITY_GENERATION) {
+            this.generations[index] = generation;
+            this.freeIndices.push(index);
+        }
+    }
+
+    describeMissingEntity(entityId) {
+        const index = entityIndex(entityId);
+        if (index < this.nextEntityIndex && this.generations[index] !== entityGeneration(entityId)) {
+            return `Entity ${formatEntity(entityId)} is stale (slot ${index} is now at generation ${this.generations[index]})`;
+        }
+        return `Entity ${formatEntity(entityId)} does not exist`;
+    }
+
+    // Component Registry
+    // options: { name, schema, defaults, serializer }; returns the registered metadata
+    registerComponent(type, options = {}) {
+        const metadata = this.registry.register(type, options);
+
+        if (options.serializer) {
+            metadata.serializer = options.serializer;
+        } else if (typeof type?.fromJSON === 'function' && typeof type.prototype.toJSON === 'function') {
+            metadata.serializer = classSerializer(type);
+        } else if (Object.keys(metadata.schema).length > 0) {
+            metadata.serializer = schemaSerializer(metadata, this.registry);
+        }
+
+        if (metadata.serializer && (options.serializer || !this.serializers.has(metadata.name))) {
+            this.serializers.register(metadata.name, metadata.serializer);
+        }
+
+        return metadata;
+    }
+
+    // Metadata ({ name, type, schema, defaults, serializer }) for tooling
+    getComponentInfo(component) {
+        return this.registry.get(component);
+    }
+
+    getRegisteredComponents() {
+        return this.registry.list();
+    }
+
+    resolveComponent(component) {
+        return typeof component === 'string' ? component : this.registry.resolveName(component);
+    }
+
+    // Validate component data against its schema, constructing the component
+    // (with defaults) when plain data is given for a registered type
+    prepareComponentData(componentName, data) {
+        const metadata = this.registry.get(componentName);
+
+        if (!metadata) {
+            const suggestion = this.registry.suggest(componentName);
+            if (this.strictComponents) {
+                throw new Error(`Unknown component "${componentName}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+            }
+            if (suggestion && !this.warnedComponentNames.has(componentName)) {
+                this.warnedComponentNames.add(componentName);
+                console.warn(`Component "${componentName}" is not registered. Did you mean "${suggestion}"?`);
+            }
+            return data;
+        }
+
+        const isInstance = typeof metadata.type === 'function' && data instanceof metadata.type;
+        if (!isInstance) {
+            return this.registry.create(componentName, data);
+        }
+
+        this.registry.validate(componentName, data);
+        return data;
     }
 
     // Component Management
-    addComponent(entityId, componentName, data = {}) {
+    // `component` is a component name or a registered component class. Plain
+    // data for a registered type is validated and turned into a component.
+    addComponent(entityId, component, data = {}) {
         if (!this.entities.has(entityId)) {
-            throw new Error(`Entity ${entityId} does not exist`);
+            throw new Error(this.describeMissingEntity(entityId));
+        }
+
+        const componentName = this.resolveComponent(component);
+        data = this.prepareComponentData(componentName, data);
+
+        const location = this.entityLocations.get(entityId);
+        const source = location.archetype;
+
+        const cell = this.createCell(data);
+
+        // Replacing existing data does not change the archetype
+        if (source.has(componentName)) {
+            if (source.get(location.row, componentName) !== data) {
+                this.notifyComponent(this.observers.remove, componentName, entityId);
+            }
+
+            source.setCell(location.row, componentName, cell);
+            for (const query of source.queries) {
+                query.update(entityId);
+            }
+        } else {
+            const target = this.getArchetypeTransition(source, componentName, true);
+            this.moveEntity(entityId, location, target, name =>
+                name === componentName ? cell : source.getCell(location.row, name)
+            );
+        }
+
+        this.notifyComponent(this.observers.add, componentName, entityId);
+    }
+
+    removeComponent(entityId, component) {
+        const componentName = this.resolveComponent(component);
+        const location = this.entityLocations.get(entityId);
+        if (!location || !location.archetype.has(componentName)) return;
+
+        this.notifyComponent(this.observers.remove, componentName, entityId);
+
+        const source = location.archetype;
+        const target = this.getArchetypeTransition(source, componentName, false);
+        this.moveEntity(entityId, location, target, name => source.getCell(location.row, name));
+    }
+
+    getComponent(entityId, component) {
+        const location = this.entityLocations.get(entityId);
+        return location?.archetype.get(location.row, this.resolveComponent(component));
+    }
+
+    hasComponent(entityId, component) {
+        return this.entityLocations.get(entityId)?.archetype.has(this.resolveComponent(component)) || false;
+    }
+
+    // Change Detection
+    createCell(data) {
+        return {
+            data,
+            added: this.changeTick,
+            changed: this.changeTick,
+            version: data?.version
+        };
+    }
+
+    // Flag a component as modified so Changed() filters pick it up. Components
+    // that keep a numeric `version` field are detected without this call.
+    markChanged(entityId, component) {
+        const cell = this.getCell(entityId, this.resolveComponent(component));
+        if (cell) {
+            cell.changed = this.changeTick;
         }
+    }
+
+    // Returns { added, changed } ticks for a component, or undefined if absent
+    getComponentTicks(entityId, componentName) {
+        const cell = this.getCell(entityId, componentName);
+        if (!cell) return undefined;
 
-        if (!this.components.has(componentName)) {
-            this.components.set(componentName, new Map());
+        const version = cell.data?.version;
+        if (typeof version === 'number' && version !== cell.version) {
+            cell.version = version;
+            cell.changed = this.changeTick;
         }
 
-        this.components.get(componentName).set(entityId, data);
-        this.entityComponents.get(entityId).add(componentName);
+        return { added: cell.added, changed: cell.changed };
     }
 
-    removeComponent(entityId, componentName) {
-        this.components.get(componentName)?.delete(entityId);
-        this.entityComponents.get(entityId)?.delete(componentName);
+    getCell(entityId, componentName) {
+        const location = this.entityLocations.get(entityId);
+        return location?.archetype.getCell(location.row, componentName);
     }
 
-    getComponent(entityId, componentName) {
-        return this.components.get(componentName)?.get(entityId);
+    // Lifecycle Observers
+    // Each registration returns a function that removes the observer again.
+
+    // callback(entityId, data, world) after a component is added or replaced
+    onAdd(component, callback) {
+        return this.observe(this.observers.add, this.resolveComponent(component), callback);
     }
 
-    hasComponent(entityId, componentName) {
-        return this.components.get(componentName)?.has(entityId) || false;
+    // callback(entityId, data, world) before a component is removed, replaced,
+    // or its entity destroyed; the entity's other components are still readable
+    onRemove(component, callback) {
+        return this.observe(this.observers.remove, this.resolveComponent(component), callback);
+    }
+
+    // callback(entityId, world) after an entity is created
+    onEntityCreated(callback) {
+        this.observers.created.add(callback);
+        return () => this.observers.created.delete(callback);
+    }
+
+    // callback(entityId, world) after an entity and all its components are gone
+    onEntityDestroyed(callback) {
+        this.observers.destroyed.add(callback);
+        return () => this.observers.destroyed.delete(callback);
+    }
+
+    observe(observerMap, componentName, callback) {
+        if (!observerMap.has(componentName)) {
+            observerMap.set(componentName, new Set());
+        }
+        observerMap.get(componentName).add(callback);
+        return () => observerMap.get(componentName).delete(callback);
+    }
+
+    notifyComponent(observerMap, componentName, entityId) {
+        const callbacks = observerMap.get(componentName);
+        if (!callbacks || callbacks.size === 0) return;
+
+        const data = this.getComponent(entityId, componentName);
+        for (const callback of [...callbacks]) {
+            callback(entityId, data, this);
+        }
+    }
+
+    notifyEntity(callbacks, entityId) {
+        for (const callback of [...callbacks]) {
+            callback(entityId, this);
+        }
     }
 
     // Query Methods
-    getAllComponents(componentName) {
-        return this.components.get(componentName) || new Map();
+    getAllComponents(component) {
+        const componentName = this.resolveComponent(component);
+        const components = new Map();
+        for (const archetype of this.archetypesByComponent.get(componentName) || []) {
+            const column = archetype.columns.get(componentName);
+            for (let row = 0; row < archetype.size; row++) {
+                components.set(archetype.entities[row], column[row].data);
+            }
+        }
+        return components;
     }
 
-    query(...componentNames) {
-        const results = [];
-        for (const entityId of this.entities) {
-            if (componentNames.every(name => this.hasComponent(entityId, name))) {
-                const entityData = { id: entityId };
-                for (const componentName of componentNames) {
-                    entityData[componentName] = this.getComponent(entityId, componentName);
+    // Accepts component names and filter terms (Without, Optional, Added, Changed).
+    // Returns a copy of the cached query's results, so entities can be destroyed or
+    // change components while looping over it.
+    // Cached queries are shared, so systems that need their own Added/Changed
+    // window should hold a query from createQuery() instead.
+    query(...terms) {
+        return this.getQuery(terms).execute();
+    }
+
+    // Get all entities with specific components
+    getEntitiesWith(...terms) {
+        return this.getQuery(terms).getEntities();
+    }
+
+    // Get (or build and cache) the shared Query object for a set of terms
+    getQuery(terms) {
+        terms = this.resolveTerms(terms);
+        const key = Query.keyFor(terms);
+        let query = this.queries.get(key);
+
+        if (!query) {
+            query = this.createQuery(...terms);
+            this.queries.set(key, query);
+        }
+
+        return query;
+    }
+
+    // Build a private Query that is maintained by the world but not shared
+    createQuery(...terms) {
+        const query = new Query(this, this.resolveTerms(terms));
+        this.queryList.push(query);
+
+        for (const archetype of this.archetypes.values()) {
+            if (query.matches(archetype)) {
+                archetype.queries.push(query);
+                for (const entityId of archetype.entities) {
+                    query.add(entityId);
                 }
-                results.push(entityData);
             }
         }
-        return results;
+
+        return query;
     }
 
-    // Get all entities with specific components
-    getEntitiesWith(...componentNames) {
-        const entities = [];
-        for (const entityId of this.entities) {
-            if (componentNames.every(name => this.hasComponent(entityId, name))) {
-                entities.push(entityId);
+    // Replace component classes in query terms with their registered names
+    resolveTerms(terms) {
+        return terms.map(term => {
+            if (typeof term === 'function') return this.resolveComponent(term);
+            if (typeof term === 'object' && typeof term.component === 'function') {
+                return { ...term, component: this.resolveComponent(term.component) };
+            }
+            return term;
+        });
+    }
+
+    // Archetype Management
+    getOrCreateArchetype(componentNames) {
+        const key = Archetype.keyFor(componentNames);
+        let archetype = this.archetypes.get(key);
+
+        if (!archetype) {
+            archetype = new Archetype(componentNames);
+            this.archetypes.set(key, archetype);
+
+            for (const componentName of archetype.componentNames) {
+                if (!this.archetypesByComponent.has(componentName)) {
+                    this.archetypesByComponent.set(componentName, new Set());
+                }
+                this.archetypesByComponent.get(componentName).add(archetype);
+            }
+
+            for (const query of this.queryList) {
+                if (query.matches(archetype)) {
+                    archetype.queries.push(query);
+                }
+            }
+        }
+
+        return archetype;
+    }
+
+    getArchetypeTransition(archetype, componentName, adding) {
+        const edgeKey = (adding ? '+' : '-') + componentName;
+        let target = archetype.edges.get(edgeKey);
+
+        if (!target) {
+            const names = adding
+                ? [...archetype.componentNames, componentName]
+                : archetype.componentNames.filter(name => name !== componentName);
+            target = this.getOrCreateArchetype(names);
+            archetype.edges.set(edgeKey, target);
+        }
+
+        return target;
+    }
+
+    moveEntity(entityId, location, target, getCell) {
+        const source = location.archetype;
+        const newRow = target.addEntity(entityId, getCell);
+        this.removeFromArchetype(source, location.row);
+
+        location.archetype = target;
+        location.row = newRow;
+
+        // Update only the queries affected by the move
+        for (const query of source.queries) {
+            if (!target.queries.includes(query)) {
+                query.remove(entityId);
+            }
+        }
+        for (const query of target.queries) {
+            if (source.queries.includes(query)) {
+                query.update(entityId);
+            } else {
+                query.add(entityId);
             }
         }
-        return entities;
+    }
+
+    removeFromArchetype(archetype, row) {
+        const movedEntity = archetype.removeRow(row);
+        if (movedEntity !== undefined) {
+            this.entityLocations.get(movedEntity).row = row;
+        }
+    }
+
+    // Serialization
+    // serializer: { serialize(data) -> plain object, deserialize(plain, context) -> data }
+    registerSerializer(componentName, serializer) {
+        this.serializers.register(componentName, serializer);
+    }
+
+    // format: 'json' (string), 'binary' (Uint8Array) or 'object' (snapshot object)
+    serialize({ format = 'json', serializers = this.serializers, space } = {}) {
+        const snapshot = createSnapshot(this, { serializers });
+
+        switch (format) {
+            case 'object':
+                return snapshot;
+            case 'json':
+                return JSON.stringify(snapshot, null, space);
+            case 'binary':
+                return encodeBinarySnapshot(snapshot);
+            default:
+                throw new Error(`Unknown snapshot format: ${format}`);
+        }
+    }
+
+    // Add the entities of a snapshot (object, JSON text or binary) to this world.
+    // Returns Map<savedEntityId, newEntityId>.
+    loadSnapshot(input, { serializers = this.serializers, context } = {}) {
+        return loadSnapshot(this, parseSnapshot(input), { serializers, context });
+    }
+
+    // Build a new world from a snapshot, continuing its saved random sequence
+    static deserialize(input, options = {}) {
+        const snapshot = parseSnapshot(input);
+        const world = new World();
+        world.loadSnapshot(snapshot, options);
+        if (snapshot.random) {
+            world.random.setSeed(snapshot.random.seed).setState(snapshot.random.state);
+        }
+        return world;
+    }
+
+    // 32-bit hash of the serialized state, including world.random. Deterministic runs fed the same inputs
+    // produce the same checksum at the same fixed step; compare them to find desyncs.
+    checksum(options) {
+        return hashString(this.serialize({ ...options, format: 'json' }));
+    }
+
+    // Prefabs and scenes
+    // definition: prefab object or JSON text with a name
+    registerPrefab(definition) {
+        return this.prefabs.register(definition);
+    }
+
+    // Spawn a prefab (name or definition) with optional per-component overrides,
+    // e.g. instantiate('crate', { Transform: { position: { x: 2 } } }). Returns the root id.
+    instantiate(prefab, overrides = {}, context = {}) {
+        return instantiatePrefab(this, prefab, overrides, context);
+    }
+
+    // Destroy an instantiated prefab together with its child entities
+    destroyInstance(root) {
+        destroyPrefabInstance(this, root);
+    }
+
+    // Instantiate every entity of a scene definition; unload() the returned Scene to remove them
+    loadScene(definition, context = {}) {
+        return new Scene(definition).load(this, context);
     }
 
     // Utility methods
@@ -94,26 +602,35 @@ export class World {
         return this.entities.size;
     }
 
+    // Total number of component instances across all entities
+    getComponentCount() {
+        let count = 0;
+        for (const archetype of this.archetypes.values()) {
+            count += archetype.size * archetype.componentNames.length;
+        }
+        return count;
+    }
+
     getComponentNames() {
-        return Array.from(this.components.keys());
+        return Array.from(this.archetypesByComponent.keys());
     }
 
     // Debug methods
     debugEntity(entityId) {
         if (!this.entities.has(entityId)) {
-            console.log(`Entity ${entityId} does not exist`);
+            console.log(this.describeMissingEntity(entityId));
             return;
         }
 
-        const components = this.entityComponents.get(entityId);
-        console.log(`Entity ${entityId}:`);
-        for (const componentName of components) {
-            console.log(`  - ${componentName}:`, this.getComponent(entityId, componentName));
+        const { archetype, row } = this.entityLocations.get(entityId);
+        console.log(`Entity ${formatEntity(entityId)}:`);
+        for (const componentName of archetype.componentNames) {
+            console.log(`  - ${componentName}:`, archetype.get(row, componentName));
         }
     }
 
     debugWorld() {
-        console.log(`World contains ${this.entities.size} entities:`);
+        console.log(`World contains ${this.entities.size} entities in ${this.archetypes.size} archetypes:`);
         for (const entityId of this.entities) {
             this.debugEntity(entityId);
         }
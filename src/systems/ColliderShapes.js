@@ -0,0 +1,154 @@
+import * as CANNON from 'https://cdn.jsdelivr.net/npm/cannon-es@0.20.0/dist/cannon-es.js';
+import * as THREE from 'https://esm.sh/three@0.155.0';
+import { ConvexHull } from 'https://esm.sh/three@0.155.0/examples/jsm/math/ConvexHull.js';
+
+/**
+ * Collider Shapes
+ * Turns Collider component shapes into Cannon shapes for PhysicsSystem.
+ * Returns a list of { shape, offset, orientation } to add to one body, so
+ * compound colliders and capsules (a cylinder and two spheres) are just longer lists.
+ */
+export function createColliderShapes(collider, { geometry = null, scale = { x: 1, y: 1, z: 1 } } = {}) {
+    const parts = [];
+    for (const definition of collider.shapes) {
+        const shape = definition.autoFit ? fitShape(definition, geometry) : definition;
+        parts.push(...buildShape(shape, scale));
+    }
+    return parts;
+}
+
+// Size a shape from the bounds (or vertices) of a Three.js geometry
+export function fitShape(shape, geometry) {
+    if (!geometry?.attributes?.position) {
+        console.warn(`Collider autoFit: no MeshRenderer geometry, using the ${shape.type} as given`);
+        return shape;
+    }
+
+    if (shape.type === 'convex' || shape.type === 'trimesh') {
+        const vertices = Array.from(geometry.attributes.position.array);
+        if (shape.type === 'convex') {
+            return { ...shape, vertices, faces: null };
+        }
+        const indices = geometry.index
+            ? Array.from(geometry.index.array)
+            : Array.from({ length: vertices.length / 3 }, (_, i) => i);
+        return { ...shape, vertices, indices };
+    }
+
+    if (!geometry.boundingBox) geometry.computeBoundingBox();
+    const { min, max } = geometry.boundingBox;
+    const half = { x: (max.x - min.x) / 2, y: (max.y - min.y) / 2, z: (max.z - min.z) / 2 };
+    const center = { x: (max.x + min.x) / 2, y: (max.y + min.y) / 2, z: (max.z + min.z) / 2 };
+    const fitted = {
+        ...shape,
+        offset: { x: shape.offset.x + center.x, y: shape.offset.y + center.y, z: shape.offset.z + center.z }
+    };
+
+    switch (shape.type) {
+        case 'box':
+            fitted.halfExtents = half;
+            break;
+        case 'sphere':
+            fitted.radius = Math.max(half.x, half.y, half.z);
+            break;
+        case 'capsule':
+            fitted.radius = Math.max(half.x, half.z);
+            fitted.height = Math.max(0, half.y * 2 - fitted.radius * 2);
+            break;
+        case 'cylinder':
+            fitted.radius = Math.max(half.x, half.z);
+            fitted.radiusTop = null;
+            fitted.radiusBottom = null;
+            fitted.height = half.y * 2;
+            break;
+    }
+    return fitted;
+}
+
+function buildShape(shape, scale) {
+    const offset = new CANNON.Vec3(shape.offset.x * scale.x, shape.offset.y * scale.y, shape.offset.z * scale.z);
+    const { x, y, z, w } = shape.orientation;
+    const orientation = new CANNON.Quaternion(x, y, z, w);
+    const radialScale = Math.max(Math.abs(scale.x), Math.abs(scale.z));
+    const part = cannonShape => ({ shape: cannonShape, offset, orientation });
+
+    switch (shape.type) {
+        case 'box': {
+            const { halfExtents } = shape;
+            return [part(new CANNON.Box(new CANNON.Vec3(
+                halfExtents.x * Math.abs(scale.x),
+                halfExtents.y * Math.abs(scale.y),
+                halfExtents.z * Math.abs(scale.z)
+            )))];
+        }
+        case 'sphere':
+            return [part(new CANNON.Sphere(shape.radius * Math.max(Math.abs(scale.x), Math.abs(scale.y), Math.abs(scale.z))))];
+        case 'cylinder':
+            return [part(new CANNON.Cylinder(
+                (shape.radiusTop ?? shape.radius) * radialScale,
+                (shape.radiusBottom ?? shape.radius) * radialScale,
+                shape.height * Math.abs(scale.y),
+                shape.segments
+            ))];
+        case 'capsule': {
+            // A cylinder capped by two spheres, all along the shape's local Y axis
+            const radius = shape.radius * radialScale;
+            const height = shape.height * Math.abs(scale.y);
+            const cap = orientation.vmult(new CANNON.Vec3(0, height / 2, 0));
+            const parts = [
+                { shape: new CANNON.Sphere(radius), offset: offset.vadd(cap), orientation },
+                { shape: new CANNON.Sphere(radius), offset: offset.vsub(cap), orientation }
+            ];
+            if (height > 0) {
+                parts.push(part(new CANNON.Cylinder(radius, radius, height, 12)));
+            }
+            return parts;
+        }
+        case 'convex': {
+            const points = toPoints(shape.vertices, scale);
+            if (shape.faces) {
+                return [part(new CANNON.ConvexPolyhedron({
+                    vertices: points.map(p => new CANNON.Vec3(p.x, p.y, p.z)),
+                    faces: shape.faces
+                }))];
+            }
+            return [part(new CANNON.ConvexPolyhedron(convexHull(points)))];
+        }
+        case 'trimesh': {
+            const vertices = toPoints(shape.vertices, scale).flatMap(p => [p.x, p.y, p.z]);
+            return [part(new CANNON.Trimesh(vertices, shape.indices))];
+        }
+    }
+}
+
+function toPoints(vertices, scale) {
+    const points = [];
+    for (let i = 0; i < vertices.length; i += 3) {
+        points.push({ x: vertices[i] * scale.x, y: vertices[i + 1] * scale.y, z: vertices[i + 2] * scale.z });
+    }
+    return points;
+}
+
+// Hull of a point cloud as Cannon ConvexPolyhedron options, faces wound outward
+function convexHull(points) {
+    const hull = new ConvexHull().setFromPoints(points.map(p => new THREE.Vector3(p.x, p.y, p.z)));
+    const vertices = [];
+    const indexOf = new Map(); // Map<hull vertex point, index>
+
+    const faces = hull.faces.map(face => {
+        const loop = [];
+        let edge = face.edge;
+        do {
+            const point = edge.head().point;
+            if (!indexOf.has(point)) {
+                indexOf.set(point, vertices.length);
+                vertices.push(new CANNON.Vec3(point.x, point.y, point.z));
+            }
+            loop.push(indexOf.get(point));
+            edge = edge.next;
+        } while (edge !== face.edge);
+        return loop;
+    });
+
+    return { vertices, faces };
+}
@@ -0,0 +1,143 @@
+/**
+ * Collision Events
+ * Follows which Cannon bodies touch from one physics step to the next and turns
+ * that into CollisionEnter / CollisionStay / CollisionExit events for PhysicsSystem.
+ * Events are written from one entity's point of view:
+ *   { type, entity, other, body, otherBody, contacts: [{ point, normal }], impulse, isTrigger }
+ * `point` is on the other body's surface and `normal` points from the other body
+ * towards this one (up when standing on something). `other` is null for bodies no
+ * entity owns, like the ground or voxel terrain. Trigger overlaps have an impulse
+ * of 0, since nothing pushes back.
+ * Pairs are read from Cannon's public `world.contacts` after every substep, which
+ * includes trigger contacts. Kinematic bodies touching static or kinematic bodies
+ * get no contacts from Cannon and so no events.
+ * Resting contacts can drop out of Cannon's results for a single step, so a pair
+ * only exits once it has been apart for a full step (or a body left the world).
+ */
+export const COLLISION_EVENTS = ['CollisionEnter', 'CollisionStay', 'CollisionExit'];
+
+// Steps a pair may go without touching before it counts as separated
+const EXIT_GRACE_STEPS = 1;
+
+export class CollisionTracker {
+    constructor(physicsWorld) {
+        this.physicsWorld = physicsWorld;
+        this.touching = new Map(); // Map<pair key, pair> as of the last flush
+        this.stepPairs = new Map(); // Map<pair key, pair> seen since then
+        this.stepped = false;
+
+        // Cannon may take several substeps per call to world.step(); collect after each
+        this.collect = () => this.collectStep();
+        this.physicsWorld.addEventListener('postStep', this.collect);
+    }
+
+    collectStep() {
+        const world = this.physicsWorld;
+        this.stepped = true;
+
+        // Every contact belongs to a touching pair; points and impulses add up over the substeps
+        for (const contact of world.contacts) {
+            const key = pairKey(contact.bi, contact.bj);
+            let pair = this.stepPairs.get(key);
+            if (!pair) {
+                pair = {
+                    bodyA: contact.bi,
+                    bodyB: contact.bj,
+                    contacts: [],
+                    impulse: 0,
+                    isTrigger: contact.bi.isTrigger || contact.bj.isTrigger
+                };
+                this.stepPairs.set(key, pair);
+            }
+
+            const flipped = contact.bi !== pair.bodyA;
+            const pointI = contact.bi.position.vadd(contact.ri);
+            const pointJ = contact.bj.position.vadd(contact.rj);
+            const normal = flipped ? contact.ni.negate() : contact.ni.clone(); // A -> B
+            pair.contacts.push({
+                pointA: flipped ? pointJ : pointI,
+                pointB: flipped ? pointI : pointJ,
+                normal
+            });
+            if (!pair.isTrigger) {
+                pair.impulse += contact.multiplier * world.dt;
+            }
+        }
+    }
+
+    // Events for everything that started, kept or stopped touching since the last
+    // flush. Nothing changes (and nothing is reported) if Cannon didn't step.
+    flush() {
+        if (!this.stepped) return [];
+
+        const events = [];
+        for (const [key, pair] of this.stepPairs) {
+            const type = this.touching.has(key) ? 'CollisionStay' : 'CollisionEnter';
+            events.push(...pairEvents(type, pair));
+        }
+        for (const [key, pair] of this.touching) {
+            if (this.stepPairs.has(key)) continue;
+
+            // Apart for too short to tell from a resting contact flickering: keep it, quietly
+            const removed = !pair.bodyA.world || !pair.bodyB.world;
+            const missedSteps = (pair.missedSteps ?? 0) + 1;
+            if (!removed && missedSteps <= EXIT_GRACE_STEPS) {
+                this.stepPairs.set(key, { ...pair, missedSteps });
+                continue;
+            }
+            events.push(...pairEvents('CollisionExit', { ...pair, contacts: [], impulse: 0 }));
+        }
+
+        this.touching = this.stepPairs;
+        this.stepPairs = new Map();
+        this.stepped = false;
+        return events;
+    }
+
+    dispose() {
+        this.physicsWorld.removeEventListener('postStep', this.collect);
+    }
+}
+
+// Body ids are unique for the lifetime of the page, so they identify a pair exactly
+function pairKey(bodyA, bodyB) {
+    return bodyA.id < bodyB.id ? `${bodyA.id}:${bodyB.id}` : `${bodyB.id}:${bodyA.id}`;
+}
+
+// One event for each side of the pair that belongs to an entity
+function pairEvents(type, pair) {
+    const entityA = pair.bodyA.entityId ?? null;
+    const entityB = pair.bodyB.entityId ?? null;
+    const events = [];
+
+    if (entityA !== null) {
+        events.push({
+            type,
+            entity: entityA,
+            other: entityB,
+            body: pair.bodyA,
+            otherBody: pair.bodyB,
+            contacts: pair.contacts.map(({ pointB, normal }) => ({ point: toPoint(pointB), normal: toPoint(normal.negate()) })),
+            impulse: pair.impulse,
+            isTrigger: pair.isTrigger
+        });
+    }
+    if (entityB !== null) {
+        events.push({
+            type,
+            entity: entityB,
+            other: entityA,
+            body: pair.bodyB,
+            otherBody: pair.bodyA,
+            contacts: pair.contacts.map(({ pointA, normal }) => ({ point: toPoint(pointA), normal: toPoint(normal) })),
+            impulse: pair.impulse,
+            isTrigger: pair.isTrigger
+        });
+    }
+    return events;
+}
+
+// + 0 turns -0 (from negated normals) into 0
+function toPoint({ x, y, z }) {
+    return { x: x + 0, y: y + 0, z: z + 0 };
+}
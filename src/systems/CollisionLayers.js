@@ -0,0 +1,85 @@
+/**
+ * Collision Layers
+ * Named layers and which pairs of them collide, as Cannon collision filter bits
+ * (a body's collisionFilterGroup is its layer's bit, its collisionFilterMask the
+ * bits of the layers it collides with). Layers collide with every layer, including
+ * ones defined later, until a pair is turned off.
+ * 'default' is the layer of bodies that don't name one and 'terrain' that of the
+ * built-in ground and voxel chunks. Naming a layer anywhere defines it, up to 32.
+ */
+export const MAX_COLLISION_LAYERS = 32;
+
+export class CollisionLayers {
+    constructor({ layers = [], ignore = [] } = {}) {
+        this.indices = new Map(); // Map<layer name, bit index>
+        this.masks = []; // Bits of the layers each layer collides with, by bit index
+
+        // Bumped whenever the matrix changes, so bodies can be refreshed. Defining a
+        // layer changes no existing group or mask, since masks start with every bit set.
+        this.version = 0;
+
+        for (const name of ['default', 'terrain', ...layers]) {
+            this.define(name);
+        }
+        for (const [a, b] of ignore) {
+            this.setCollision(a, b, false);
+        }
+    }
+
+    // Bit index of a layer, defining it if needed
+    define(name) {
+        if (this.indices.has(name)) return this.indices.get(name);
+        if (this.indices.size >= MAX_COLLISION_LAYERS) {
+            throw new Error(`Cannot define collision layer "${name}": all ${MAX_COLLISION_LAYERS} layers are in use`);
+        }
+
+        const index = this.indices.size;
+        this.indices.set(name, index);
+        this.masks[index] = -1;
+        return index;
+    }
+
+    has(name) {
+        return this.indices.has(name);
+    }
+
+    get names() {
+        return [...this.indices.keys()];
+    }
+
+    setCollision(a, b, collides = true) {
+        const indexA = this.define(a);
+        const indexB = this.define(b);
+        if (collides) {
+            this.masks[indexA] |= 1 << indexB;
+            this.masks[indexB] |= 1 << indexA;
+        } else {
+            this.masks[indexA] &= ~(1 << indexB);
+            this.masks[indexB] &= ~(1 << indexA);
+        }
+        this.version++;
+    }
+
+    ignore(a, b) {
+        this.setCollision(a, b, false);
+    }
+
+    collides(a, b) {
+        return (this.masks[this.define(a)] & (1 << this.define(b))) !== 0;
+    }
+
+    // collisionFilterGroup for bodies on a layer
+    group(name) {
+        return 1 << this.define(name);
+    }
+
+    // collisionFilterMask for bodies on a layer
+    mask(name) {
+        return this.masks[this.define(name)];
+    }
+
+    // Bits of several layers, e.g. to aim a ray cast at just those
+    groups(names) {
+        return [].concat(names).reduce((bits, name) => bits | this.group(name), 0);
+    }
+}
@@ -0,0 +1,132 @@
+/**
+ * Input Recording
+ * Captures the per-tick input state of an InputSystem and plays it back in place
+ * of DOM events. Frames only store what changed since the previous tick:
+ *   { tick, keys?, mouseButtons?, mousePosition?, mouseDelta? }
+ * An absent mouseDelta means no movement that tick; other absent fields are unchanged.
+ * Combined with a deterministic Engine, a replay reproduces the recorded session.
+ */
+export const INPUT_RECORDING_FORMAT = 'mekeni-input';
+export const INPUT_RECORDING_VERSION = 1;
+
+export class InputRecorder {
+    constructor({ fixedDelta = null, metadata = {} } = {}) {
+        this.recording = {
+            format: INPUT_RECORDING_FORMAT,
+            version: INPUT_RECORDING_VERSION,
+            fixedDelta,
+            metadata: { ...metadata },
+            length: 0,
+            frames: []
+        };
+        this.previous = null;
+    }
+
+    // Record the input state for the next tick
+    capture({ keys, mouseButtons, mousePosition, mouseDelta }) {
+        const tick = this.recording.length++;
+        const frame = { tick };
+        const previous = this.previous;
+
+        const keyList = Array.from(keys).sort();
+        const buttonList = Array.from(mouseButtons).sort((a, b) => a - b);
+
+        if (!previous || !arraysEqual(previous.keys, keyList)) frame.keys = keyList;
+        if (!previous || !arraysEqual(previous.mouseButtons, buttonList)) frame.mouseButtons = buttonList;
+        if (!previous || previous.mousePosition.x !== mousePosition.x || previous.mousePosition.y !== mousePosition.y) {
+            frame.mousePosition = { x: mousePosition.x, y: mousePosition.y };
+        }
+        if (mouseDelta.x !== 0 || mouseDelta.y !== 0) {
+            frame.mouseDelta = { x: mouseDelta.x, y: mouseDelta.y };
+        }
+
+        this.previous = { keys: keyList, mouseButtons: buttonList, mousePosition: { ...mousePosition } };
+
+        // Ticks without changes are implied by `length`
+        if (Object.keys(frame).length > 1) {
+            this.recording.frames.push(frame);
+        }
+    }
+
+    getRecording() {
+        return this.recording;
+    }
+}
+
+export class InputReplay {
+    constructor(recording, { loop = false } = {}) {
+        this.recording = parseInputRecording(recording);
+        this.loop = loop;
+        this.reset();
+    }
+
+    reset() {
+        this.tick = 0;
+        this.frameIndex = 0;
+        this.state = {
+            keys: new Set(),
+            mouseButtons: new Set(),
+            mousePosition: { x: 0, y: 0 },
+            mouseDelta: { x: 0, y: 0 }
+        };
+    }
+
+    isFinished() {
+        return !this.loop && this.tick >= this.recording.length;
+    }
+
+    // Input state for the next tick, or null once the recording has ended
+    next() {
+        if (this.tick >= this.recording.length) {
+            if (!this.loop || this.recording.length === 0) return null;
+            this.reset();
+        }
+
+        const { state } = this;
+        state.mouseDelta = { x: 0, y: 0 };
+
+        const frame = this.recording.frames[this.frameIndex];
+        if (frame && frame.tick === this.tick) {
+            if (frame.keys) state.keys = new Set(frame.keys);
+            if (frame.mouseButtons) state.mouseButtons = new Set(frame.mouseButtons);
+            if (frame.mousePosition) state.mousePosition = { ...frame.mousePosition };
+            if (frame.mouseDelta) state.mouseDelta = { ...frame.mouseDelta };
+            this.frameIndex++;
+        }
+
+        this.tick++;
+        return state;
+    }
+}
+
+export function serializeInputRecording(recording, space) {
+    return JSON.stringify(recording, null, space);
+}
+
+// Accepts a recording object or its JSON text
+export function parseInputRecording(input) {
+    const recording = typeof input === 'string' ? JSON.parse(input) : input;
+
+    if (!recording || recording.format !== INPUT_RECORDING_FORMAT) {
+        throw new Error('Not an input recording');
+    }
+    if (recording.version > INPUT_RECORDING_VERSION) {
+        throw new Error(`Unsupported input recording version ${recording.version} (max ${INPUT_RECORDING_VERSION})`);
+    }
+    return recording;
+}
+
+// Browser helper: save a recording as a .json download
+export function downloadInputRecording(recording, filename = 'input-recording.json') {
+    const blob = new Blob([serializeInputRecording(recording)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+function arraysEqual(a, b) {
+    return a.length === b.length && a.every((value, i) => value === b[i]);
+}
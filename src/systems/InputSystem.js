@@ -1,4 +1,5 @@
 import { System } from '../core/System.js';
+import { InputRecorder, InputReplay } from './InputRecording.js';
 
 /**
  * Input System
@@ -6,7 +7,7 @@ import { System } from '../core/System.js';
  */
 export class InputSystem extends System {
     constructor(canvas) {
-        super('InputSystem', 'update');
+        super('InputSystem', 'update', { unscaledTime: true });
         this.canvas = canvas;
         
         // Input state
@@ -20,36 +21,43 @@ export class InputSystem extends System {
         this.enableMouseLock = false;
         this.mouseSensitivity = 1.0;
         
-        this.priority = -20; // Process input very early
+        // Recording and replay; while replaying, DOM events are ignored
+        this.recorder = null;
+        this.replay = null;
+        this.onReplayComplete = null;
         
-        this.setupEventListeners();
+        // Without a canvas (headless runs) input state is set directly,
+        // e.g. inputSystem.keys.add('KeyW')
+        if (canvas && typeof window !== 'undefined') {
+            this.setupEventListeners();
+        }
     }
 
     setupEventListeners() {
         // Keyboard events
         window.addEventListener('keydown', (e) => {
-            this.keys.add(e.code);
+            if (!this.replay) this.keys.add(e.code);
             e.preventDefault();
         });
 
         window.addEventListener('keyup', (e) => {
-            this.keys.delete(e.code);
+            if (!this.replay) this.keys.delete(e.code);
             e.preventDefault();
         });
 
         // Mouse events
         this.canvas.addEventListener('mousedown', (e) => {
-            this.mouseButtons.add(e.button);
+            if (!this.replay) this.mouseButtons.add(e.button);
             e.preventDefault();
         });
 
         this.canvas.addEventListener('mouseup', (e) => {
-            this.mouseButtons.delete(e.button);
+            if (!this.replay) this.mouseButtons.delete(e.button);
             e.preventDefault();
         });
 
         this.canvas.addEventListener('mousemove', (e) => {
-            this.updateMousePosition(e);
+            if (!this.replay) this.updateMousePosition(e);
             e.preventDefault();
         });
 
@@ -65,6 +73,7 @@ export class InputSystem extends System {
 
         // Focus events
         window.addEventListener('blur', () => {
+            if (this.replay) return;
             this.keys.clear();
             this.mouseButtons.clear();
         });
@@ -94,6 +103,17 @@ export class InputSystem extends System {
     }
 
     execute(world, deltaTime) {
+        // A replay replaces live input for this tick
+        if (this.replay) {
+            this.applyReplayFrame();
+        }
+        
+        if (this.recorder) {
+            // The real tick length: a recording made in slow motion still replays one frame per tick
+            this.recorder.recording.fixedDelta ??= world.time.unscaledFixedDelta;
+            this.recorder.capture(this);
+        }
+        
         // Update all Input components with current input state
         this.updateInputComponents(world);
         
@@ -116,6 +136,64 @@ export class InputSystem extends System {
         }
     }
 
+    // Recording and replay
+    startRecording({ metadata } = {}) {
+        this.recorder = new InputRecorder({ metadata });
+    }
+
+    // Returns the recording; save it with serializeInputRecording()
+    stopRecording() {
+        const recording = this.recorder ? this.recorder.getRecording() : null;
+        this.recorder = null;
+        return recording;
+    }
+
+    isRecording() {
+        return this.recorder !== null;
+    }
+
+    // recording: object or JSON text from an earlier session
+    playRecording(recording, { loop = false, onComplete = null } = {}) {
+        this.replay = new InputReplay(recording, { loop });
+        this.onReplayComplete = onComplete;
+        this.clearInputState();
+    }
+
+    stopReplay() {
+        if (!this.replay) return;
+
+        const onComplete = this.onReplayComplete;
+        this.replay = null;
+        this.onReplayComplete = null;
+        this.clearInputState();
+        if (onComplete) onComplete();
+    }
+
+    isReplaying() {
+        return this.replay !== null;
+    }
+
+    applyReplayFrame() {
+        const state = this.replay.next();
+        if (!state) {
+            this.stopReplay();
+            return;
+        }
+
+        this.keys = new Set(state.keys);
+        this.mouseButtons = new Set(state.mouseButtons);
+        this.previousMousePosition = { ...this.mousePosition };
+        this.mousePosition = { ...state.mousePosition };
+        this.mouseDelta = { ...state.mouseDelta };
+    }
+
+    clearInputState() {
+        this.keys.clear();
+        this.mouseButtons.clear();
+        this.mouseDelta.x = 0;
+        this.mouseDelta.y = 0;
+    }
+
     // Mouse lock controls
     requestPointerLock() {
         this.canvas.requestPointerLock();
@@ -3,7 +3,7 @@ import Hammer from 'hammerjs';
 
 export class MobileInputSystem extends System {
     constructor(element) {
-        super('MobileInputSystem', 'update');
+        super('MobileInputSystem', 'update', { unscaledTime: true });
         this.hammer = new Hammer(element);
         this.inputs = {
             pan: { x: 0, y: 0 },
@@ -0,0 +1,207 @@
+import * as CANNON from 'https://cdn.jsdelivr.net/npm/cannon-es@0.20.0/dist/cannon-es.js';
+
+/**
+ * Physics Queries
+ * Ray casts, overlap tests and shape sweeps against a Cannon world, behind
+ * PhysicsSystem.raycast, overlapSphere/overlapBox and sweepSphere/sweepBox.
+ * Hits are plain objects:
+ *   { entityId, body, point: { x, y, z }, normal: { x, y, z }, distance }
+ * with entityId null for bodies no entity owns (the ground, voxel terrain).
+ * Shape queries run on a body from createQueryBody(), which the caller keeps and
+ * reuses: every Cannon body takes a new id, and queries can run many times a step.
+ *
+ * Every query takes filter options:
+ *   mask     bitmask tested against each body's collisionFilterGroup (default: every group)
+ *   exclude  an entity id or a list of them to ignore, e.g. the caster itself
+ *   filter   (entityId, body) => boolean, for anything else
+ */
+const SWEEP_REFINE_STEPS = 12;
+
+// Ray from `from` to `to`. mode 'closest' and 'any' return a hit or null,
+// 'all' every body hit (nearest point on each) sorted by distance.
+export function castRay(physicsWorld, from, to, { mode = 'closest', ...filters } = {}) {
+    const start = toVec3(from);
+    const end = toVec3(to);
+    const options = { collisionFilterMask: filters.mask ?? -1 };
+
+    // Cannon's own closest/any casts are enough when only the mask filters
+    if (mode !== 'all' && filters.exclude == null && !filters.filter) {
+        const result = new CANNON.RaycastResult();
+        if (mode === 'any') {
+            physicsWorld.raycastAny(start, end, options, result);
+        } else {
+            physicsWorld.raycastClosest(start, end, options, result);
+        }
+        return result.hasHit ? rayHit(result) : null;
+    }
+
+    const accepts = createFilter(filters);
+    const hits = new Map(); // Map<body, nearest hit on it>
+    physicsWorld.raycastAll(start, end, options, result => {
+        if (!accepts(result.body)) return;
+
+        const nearest = hits.get(result.body);
+        if (!nearest || result.distance < nearest.distance) {
+            hits.set(result.body, rayHit(result));
+        }
+        if (mode === 'any') {
+            result.abort();
+        }
+    });
+
+    const sorted = [...hits.values()].sort((a, b) => a.distance - b.distance);
+    return mode === 'all' ? sorted : sorted[0] ?? null;
+}
+
+// Bodies a shape placed at `position` overlaps, as [{ entityId, body }]
+export function overlapShape(physicsWorld, query, shape, position, rotation, filters = {}) {
+    placeQueryBody(query, shape, position, rotation);
+    return candidates(physicsWorld, query.aabb, filters)
+        .filter(body => deepestContact(physicsWorld, query, [body]))
+        .map(body => ({ entityId: body.entityId ?? null, body }));
+}
+
+// Move a shape from `from` to `to` and return the first hit or null. `distance`
+// is how far the shape travelled and `position` where its center stopped.
+export function sweepShape(physicsWorld, query, shape, from, to, rotation, filters = {}) {
+    const start = toVec3(from);
+    const path = toVec3(to).vsub(start);
+    const length = path.length();
+    placeQueryBody(query, shape, start, rotation);
+
+    // Everything the shape could touch on the way
+    const bounds = new CANNON.AABB().copy(query.aabb);
+    query.position.vadd(path, query.position);
+    query.updateAABB();
+    bounds.extend(query.aabb);
+    const bodies = candidates(physicsWorld, bounds, filters);
+    if (bodies.length === 0) return null;
+
+    const contactAt = distance => {
+        path.scale(length > 0 ? distance / length : 0, query.position);
+        query.position.vadd(start, query.position);
+        return deepestContact(physicsWorld, query, bodies);
+    };
+
+    // March in steps no longer than the shape is thin, so nothing is stepped over
+    const step = Math.max(thickness(shape), 1e-3);
+    let free = 0;
+    let hitDistance = 0;
+    let hit = contactAt(0);
+    while (!hit && free < length) {
+        hitDistance = Math.min(free + step, length);
+        hit = contactAt(hitDistance);
+        if (!hit) free = hitDistance;
+    }
+    if (!hit) return null;
+
+    // Then narrow down where between the last free position and the hit it starts
+    for (let i = 0; i < SWEEP_REFINE_STEPS && hitDistance - free > 1e-4; i++) {
+        const middle = (free + hitDistance) / 2;
+        const contact = contactAt(middle);
+        if (contact) {
+            hit = contact;
+            hitDistance = middle;
+        } else {
+            free = middle;
+        }
+    }
+
+    path.scale(length > 0 ? hitDistance / length : 0, query.position);
+    query.position.vadd(start, query.position);
+    return { ...hit, distance: hitDistance, position: toPoint(query.position) };
+}
+
+// A body to run the narrowphase with; it is never added to the world. Dynamic,
+// so Cannon computes full contacts against static and kinematic bodies too.
+export function createQueryBody() {
+    return new CANNON.Body({ mass: 1, type: CANNON.Body.DYNAMIC });
+}
+
+// Swap the query body's shape for `shape` and move it to the given pose
+function placeQueryBody(body, shape, position, rotation = { x: 0, y: 0, z: 0, w: 1 }) {
+    if (body.shapes[0] !== shape) {
+        if (body.shapes.length > 0) {
+            body.removeShape(body.shapes[0]);
+        }
+        body.addShape(shape);
+    }
+    body.position.set(position.x, position.y, position.z);
+    body.quaternion.set(rotation.x, rotation.y, rotation.z, rotation.w);
+    body.updateAABB();
+}
+
+function candidates(physicsWorld, aabb, filters) {
+    const accepts = createFilter(filters);
+    const mask = filters.mask ?? -1;
+    return physicsWorld.broadphase.aabbQuery(physicsWorld, aabb, [])
+        .filter(body => (body.collisionFilterGroup & mask) !== 0 && accepts(body));
+}
+
+// The most penetrating contact between the query body and any of `bodies`, as a hit
+// on the other body with its surface normal pointing back at the query shape
+function deepestContact(physicsWorld, query, bodies) {
+    let deepest = null;
+
+    for (const body of bodies) {
+        const contacts = [];
+        physicsWorld.narrowphase.getContacts([query], [body], physicsWorld, contacts, [], [], []);
+
+        for (const contact of contacts) {
+            const pointI = contact.bi.position.vadd(contact.ri);
+            const pointJ = contact.bj.position.vadd(contact.rj);
+            const depth = -pointJ.vsub(pointI).dot(contact.ni);
+            if (depth < 0 || (deepest && depth <= deepest.depth)) continue;
+
+            // ni points from bi to bj, and the query may be either of them
+            const queryIsI = contact.bi === query;
+            const normal = queryIsI ? contact.ni.negate() : contact.ni.clone();
+            deepest = {
+                depth,
+                hit: {
+                    entityId: body.entityId ?? null,
+                    body,
+                    point: toPoint(queryIsI ? pointJ : pointI),
+                    normal: toPoint(normal)
+                }
+            };
+        }
+    }
+    return deepest?.hit ?? null;
+}
+
+function createFilter({ exclude = null, filter = null } = {}) {
+    const excluded = new Set(exclude == null ? [] : [].concat(exclude));
+    return body => {
+        const entityId = body.entityId ?? null;
+        return !excluded.has(entityId) && (!filter || filter(entityId, body));
+    };
+}
+
+// Half the shape's smallest extent
+function thickness(shape) {
+    if (shape instanceof CANNON.Box) {
+        const { x, y, z } = shape.halfExtents;
+        return Math.min(x, y, z);
+    }
+    return shape.radius ?? shape.boundingSphereRadius;
+}
+
+function rayHit(result) {
+    return {
+        entityId: result.body.entityId ?? null,
+        body: result.body,
+        point: toPoint(result.hitPointWorld),
+        normal: toPoint(result.hitNormalWorld),
+        distance: result.distance
+    };
+}
+
+function toVec3({ x, y, z }) {
+    return new CANNON.Vec3(x, y, z);
+}
+
+// + 0 turns -0 (from negated normals) into 0
+function toPoint({ x, y, z }) {
+    return { x: x + 0, y: y + 0, z: z + 0 };
+}
@@ -1,19 +1,33 @@
-import * as CANNON from 'https://cdn.jsdelivr.net/npm/cannon-es@latest/dist/cannon-es.js'; 
+import * as CANNON from 'https://cdn.jsdelivr.net/npm/cannon-es@0.20.0/dist/cannon-es.js'; 
 import { System } from '../core/System.js';
+import { Added, Changed, Without, Optional } from '../core/Query.js';
+import { createColliderShapes } from './ColliderShapes.js';
+import { buildVoxelBoxes } from './VoxelCollision.js';
+import { castRay, overlapShape, sweepShape, createQueryBody } from './PhysicsQueries.js';
+import { CollisionTracker } from './CollisionEvents.js';
+import { CollisionLayers } from './CollisionLayers.js';
 
 /**
  * Physics System
- * Handles physics simulation using Cannon.js
+ * Handles physics simulation using Cannon.js.
+ * After each step, `collisionEvents` lists the CollisionEnter / CollisionStay /
+ * CollisionExit events of that step (see CollisionEvents.js) for systems that run
+ * later, and entities with a CollisionHandler get their callbacks.
+ * Bodies only collide when their layers do; see CollisionLayers.js.
  */
 export class PhysicsSystem extends System {
-    constructor(world = null) {
+    // ground: add the built-in 20x20 platform; turn off when standing on voxel terrain
+    // layers: a CollisionLayers, or its options ({ layers, ignore: [[a, b], ...] })
+    constructor(world = null, { ground = true, layers = {} } = {}) {
         super('PhysicsSystem', 'physics');
         this.physicsWorld = world;
         this.gravity = { x: 0, y: -9.82, z: 0 };
-        this.timeStep = 1/60;
-        this.maxSubSteps = 3;
-        
-        this.priority = -10; // Run physics early
+        this.timeStep = 1/60; // Used when not run by an Engine, which passes its fixed step
+        this.ground = ground;
+        this.voxelChunks = new Map(); // Map<VoxelChunk, static Cannon body>
+        this.layers = layers instanceof CollisionLayers ? layers : new CollisionLayers(layers);
+        this.groundBody = null;
+        this.queryBody = createQueryBody(); // Carries the shape of overlap and sweep queries
         
         if (!this.physicsWorld) {
             this.createPhysicsWorld();
@@ -27,17 +41,52 @@ export class PhysicsSystem extends System {
         this.physicsWorld.broadphase = new CANNON.SAPBroadphase(this.physicsWorld);
         this.physicsWorld.solver.iterations = 10;
 
+        if (!this.ground) return;
+
         // Create a finite ground platform instead of infinite plane
         const groundBody = new CANNON.Body({mass: 0});
         const groundShape = new CANNON.Box(new CANNON.Vec3(10, 0.1, 10)); // 20x20 platform, 0.2 thick
         groundBody.addShape(groundShape);
         groundBody.position.set(0, -0.1, 0); // Position it just below y=0
+        this.applyLayer(groundBody, 'terrain');
         this.physicsWorld.addBody(groundBody);
+        this.groundBody = groundBody;
         
         console.log('Created finite ground platform: 20x20 units');
     }
 
     onInit(world) {
+        // Entities that need a Cannon body created for them
+        this.addedBodies = world.createQuery('Transform', 'Physics', Added('Physics'));
+        // Colliders that are new or whose shapes changed
+        this.changedColliders = world.createQuery('Transform', 'Collider', Changed('Collider'));
+        // Static collider bodies follow their Transform
+        this.movedColliders = world.createQuery('Transform', 'Collider', Without('Physics'), Changed('Transform'));
+        // Physics components whose layer may have changed (Collider changes rebuild the body)
+        this.changedLayers = world.createQuery('Physics', Optional('Collider'), Changed('Physics'));
+        this.layersVersion = this.layers.version;
+
+        this.collisions = this.physicsWorld ? new CollisionTracker(this.physicsWorld) : null;
+        this.collisionEvents = [];
+
+        // Free Cannon bodies when their Physics component or entity goes away
+        this.unsubscribeRemove = world.onRemove('Physics', (entityId, physics) => {
+            if (physics.body) {
+                this.physicsWorld?.removeBody(physics.body);
+                physics.body = null;
+            }
+        });
+        // Bodies that lose their Collider go back to the default sphere
+        this.unsubscribeColliderRemove = world.onRemove('Collider', (entityId, collider) => {
+            if (collider.body) {
+                this.physicsWorld?.removeBody(collider.body);
+                collider.body = null;
+            }
+            const physics = world.getComponent(entityId, 'Physics');
+            if (physics?.body?.collider === collider) {
+                this.setBodyShapes(world, entityId, physics.body, world.getComponent(entityId, 'Transform'), physics, null);
+            }
+        });
         console.log('PhysicsSystem initialized');
     }
 
@@ -45,8 +94,11 @@ export class PhysicsSystem extends System {
         // If we have Cannon.js physics world, use it for all entities
         if (this.physicsWorld) {
             this.updatePhysicsBodies(world);
-            this.stepSimulation(deltaTime);
+            this.updateVoxelChunks();
+            this.updateLayers();
+            this.stepSimulation((world.time.unscaledFixedDelta || this.timeStep) * world.time.timeScale);
             this.updateTransformsFromPhysics(world);
+            this.dispatchCollisionEvents(world);
         } else {
             // Fallback to basic physics simulation
             this.simulateBasicPhysics(world, deltaTime);
@@ -70,55 +122,27 @@ export class PhysicsSystem extends System {
     }
 
     updatePhysicsBodies(world) {
-        const entities = world.query('Transform', 'Physics');
-
-        for(const {Transform: t, Physics: p} of entities) {
-            if(!p.body){
-                const shape = new CANNON.Sphere(p.collisionRadius || 0.5);
-                const body = new CANNON.Body({
-                    mass: p.isStatic ? 0 : p.mass,
-                    position: new CANNON.Vec3(t.position.x, t.position.y, t.position.z),
-                    material: new CANNON.Material({ friction: p.friction, restitution: p.restitution })
-                });
-                body.addShape(shape);
-                body.type = p.isKinematic ? CANNON.Body.KINEMATIC : CANNON.Body.DYNAMIC;
-                
-                // Store reference to physics component for collision detection
-                body.userData = p;
-                
-                // Add collision detection for ground checking
-                body.addEventListener('collide', (e) => {
-                    const contact = e.contact;
-                    const other = e.target === body ? e.body : e.target;
-                    
-                    console.log('Collision detected! Other body mass:', other.mass, 'Contact normal:', contact.ni);
-                    
-                    // Check if colliding with ground (static body with mass 0) OR any other body
-                    if (other.mass === 0 || other.mass > 0) {
-                        // Check if contact normal points upward (we're on top)
-                        const normalY = Math.abs(contact.ni.y);
-                        console.log('Collision! Normal Y:', normalY);
-                        
-                        // If the normal is pointing up/down, we're touching ground/ceiling
-                        if (normalY > 0.3) {
-                            p.isGrounded = true;
-                            console.log('Set isGrounded = true');
-                        }
-                    }
-                });
-                
-                this.physicsWorld.addBody(body);
-                p.body = body;
-                
-                // Start as grounded if close to ground level
-                if (t.position.y <= 1.0) {
-                    p.isGrounded = true;
-                    console.log('Starting as grounded for entity at y:', t.position.y);
-                }
+        // Added() visits each new Physics component exactly once; its body is freed on removal
+        for(const {id, Transform: t, Physics: p} of this.addedBodies.execute()) {
+            // A Collider's static body is replaced by the Physics body
+            const collider = world.getComponent(id, 'Collider');
+            if (collider?.body) {
+                this.physicsWorld.removeBody(collider.body);
+                collider.body = null;
+            }
+            
+            p.body = this.createBody(world, id, t, p, collider);
+            
+            // Start as grounded if close to ground level
+            if (t.position.y <= 1.0) {
+                p.isGrounded = true;
+                console.log('Starting as grounded for entity at y:', t.position.y);
             }
         }
         
-        for (const entity of entities) {
+        this.updateColliders(world);
+        
+        for (const entity of world.query('Transform', 'Physics')) {
             const transform = entity.Transform;
             const physics = entity.Physics;
             
@@ -134,13 +158,13 @@ export class PhysicsSystem extends System {
                     physics.isGrounded = false;
                 }
                 
-                // Update body position from transform if kinematic
+                // Update body pose from transform if kinematic
                 if (physics.isKinematic) {
-                    physics.body.position.set(
-                        transform.position.x,
-                        transform.position.y,
-                        transform.position.z
-                    );
+                    const position = transform.getWorldPosition();
+                    const rotation = transform.getWorldRotation();
+                    physics.body.position.set(position.x, position.y, position.z);
+                    physics.body.quaternion.set(rotation.x, rotation.y, rotation.z, rotation.w);
+                    physics.body.aabbNeedsUpdate = true;
                 }
                 
                 // Apply forces
@@ -163,9 +187,176 @@ export class PhysicsSystem extends System {
         }
     }
 
-    stepSimulation(deltaTime) {
-        // Step the physics world
-        this.physicsWorld.step(this.timeStep, deltaTime, this.maxSubSteps);
+    // Create a body at the entity's world pose and add it to the physics world.
+    // Without a Physics component it is a static body for the Collider.
+    createBody(world, entityId, transform, physics = null, collider = null) {
+        // Bodies live in world space, so parented entities start at their world pose
+        const position = transform.getWorldPosition();
+        const rotation = transform.getWorldRotation();
+        const body = new CANNON.Body({
+            mass: physics && !physics.isStatic ? physics.mass : 0,
+            type: !physics ? CANNON.Body.STATIC : physics.isKinematic ? CANNON.Body.KINEMATIC : CANNON.Body.DYNAMIC,
+            position: new CANNON.Vec3(position.x, position.y, position.z),
+            quaternion: new CANNON.Quaternion(rotation.x, rotation.y, rotation.z, rotation.w),
+            material: physics ? new CANNON.Material({ friction: physics.friction, restitution: physics.restitution }) : undefined
+        });
+        
+        // Store references for collision detection
+        body.entityId = entityId;
+        body.userData = physics;
+        
+        this.setBodyShapes(world, entityId, body, transform, physics, collider);
+        this.physicsWorld.addBody(body);
+        return body;
+    }
+
+    // Replace a body's shapes with the Collider's, or the Physics sphere without one
+    setBodyShapes(world, entityId, body, transform, physics, collider) {
+        while (body.shapes.length > 0) {
+            body.removeShape(body.shapes[0]);
+        }
+        
+        const parts = collider
+            ? createColliderShapes(collider, {
+                geometry: world.getComponent(entityId, 'MeshRenderer')?.geometry,
+                scale: transform.getWorldScale()
+            })
+            : [{ shape: new CANNON.Sphere(physics?.collisionRadius || 0.5) }];
+        for (const { shape, offset, orientation } of parts) {
+            body.addShape(shape, offset, orientation);
+        }
+        
+        body.isTrigger = collider?.isTrigger ?? false;
+        this.applyLayer(body, bodyLayer(physics, collider));
+        body.collider = collider;
+        body.colliderVersion = collider?.version;
+    }
+
+    updateColliders(world) {
+        for (const { id, Transform: transform, Collider: collider } of this.changedColliders.execute()) {
+            const physics = world.getComponent(id, 'Physics');
+            const body = physics?.body ?? collider.body;
+            
+            if (!body) {
+                // Physics bodies are made by the loop above; this is a collider on its own
+                if (!physics) {
+                    collider.body = this.createBody(world, id, transform, null, collider);
+                }
+            } else if (body.collider !== collider || body.colliderVersion !== collider.version) {
+                this.setBodyShapes(world, id, body, transform, physics, collider);
+            }
+        }
+        
+        for (const { Transform: transform, Collider: collider } of this.movedColliders.execute()) {
+            if (collider.body) {
+                const position = transform.getWorldPosition();
+                const rotation = transform.getWorldRotation();
+                collider.body.position.set(position.x, position.y, position.z);
+                collider.body.quaternion.set(rotation.x, rotation.y, rotation.z, rotation.w);
+                collider.body.aabbNeedsUpdate = true;
+            }
+        }
+    }
+
+    // Voxel terrain
+    // Give a voxel chunk a static body of merged block boxes. `origin` is the
+    // chunk's world position; ChunkManager calls this for every chunk it loads.
+    addVoxelChunk(chunk, origin = { x: chunk.chunkX * chunk.size, y: 0, z: chunk.chunkZ * chunk.size }) {
+        if (!this.physicsWorld) return null;
+        this.removeVoxelChunk(chunk);
+
+        const body = new CANNON.Body({ mass: 0, type: CANNON.Body.STATIC });
+        body.position.set(origin.x, origin.y, origin.z);
+        body.voxelChunk = chunk;
+        this.applyLayer(body, 'terrain');
+        this.setVoxelShapes(body, chunk);
+
+        this.physicsWorld.addBody(body);
+        this.voxelChunks.set(chunk, body);
+        return body;
+    }
+
+    removeVoxelChunk(chunk) {
+        const body = this.voxelChunks.get(chunk);
+        if (body) {
+            this.physicsWorld.removeBody(body);
+            this.voxelChunks.delete(chunk);
+        }
+    }
+
+    // Replace the body's boxes; addShape()/removeShape() keep its bounds current.
+    // The same body is kept, so references to it stay valid across edits.
+    setVoxelShapes(body, chunk) {
+        while (body.shapes.length > 0) {
+            body.removeShape(body.shapes[body.shapes.length - 1]);
+        }
+        
+        for (const { x, y, z, width, height, depth } of buildVoxelBoxes(chunk)) {
+            body.addShape(
+                new CANNON.Box(new CANNON.Vec3(width / 2, height / 2, depth / 2)),
+                new CANNON.Vec3(x + width / 2, y + height / 2, z + depth / 2)
+            );
+        }
+        body.chunkVersion = chunk.version;
+    }
+
+    // Chunks edited with setBlock since their body was built get new boxes,
+    // once per step however many blocks changed
+    updateVoxelChunks() {
+        for (const [chunk, body] of this.voxelChunks) {
+            if (body.chunkVersion !== chunk.version) {
+                this.setVoxelShapes(body, chunk);
+            }
+        }
+    }
+
+    // Collision layers
+    // Bodies get their layer when they are built; after that only changes are
+    // applied: setLayer() on a component, or an edit to the layer matrix
+    updateLayers() {
+        for (const { Physics: physics, Collider: collider } of this.changedLayers.execute()) {
+            if (physics.body) {
+                this.applyLayer(physics.body, bodyLayer(physics, collider));
+            }
+        }
+        
+        if (this.layersVersion !== this.layers.version) {
+            this.layersVersion = this.layers.version;
+            for (const body of this.physicsWorld.bodies) {
+                if (body.layer !== undefined) {
+                    this.applyLayer(body, body.layer);
+                }
+            }
+        }
+    }
+
+    applyLayer(body, layer) {
+        if (body.layer === layer && body.layersVersion === this.layers.version) return;
+        
+        body.collisionFilterGroup = this.layers.group(layer);
+        body.collisionFilterMask = this.layers.mask(layer);
+        body.layer = layer;
+        body.layersVersion = this.layers.version;
+    }
+
+    // Query options naming layers become a filter mask:
+    //   layers  only hit bodies on these layers
+    //   layer   hit what a body on this layer would collide with
+    layerFilters({ layer = null, layers = null, ...options }) {
+        let mask = options.mask ?? -1;
+        if (layers !== null) mask &= this.layers.groups(layers);
+        if (layer !== null) mask &= this.layers.mask(layer);
+        return { ...options, mask };
+    }
+
+    // Exactly one Cannon step per engine fixed step. Cannon's step(dt, elapsed,
+    // maxSubSteps) would sub-step and interpolate by wall-clock time instead,
+    // so identical inputs could give different results. Slow motion shortens
+    // the step, so bodies still move a little every step; time scale 0 skips it.
+    stepSimulation(timeStep) {
+        if (timeStep > 0) {
+            this.physicsWorld.step(timeStep);
+        }
     }
 
     updateTransformsFromPhysics(world) {
@@ -176,18 +367,9 @@ export class PhysicsSystem extends System {
             const physics = entity.Physics;
             
             if(physics.body && !physics.isKinematic){
-                // Copy position from physics body
-                transform.position.x = physics.body.position.x;
-                transform.position.y = physics.body.position.y;
-                transform.position.z = physics.body.position.z;
-                
-                // Copy rotation from physics body (quaternion to euler)
-                const quat = physics.body.quaternion;
-                const euler = new CANNON.Vec3();
-                quat.toEuler(euler);
-                transform.rotation.x = euler.x;
-                transform.rotation.y = euler.y;
-                transform.rotation.z = euler.z;
+                // Copy the body's world pose, converted into the parent's space
+                transform.setWorldPosition(physics.body.position);
+                transform.setWorldRotation(physics.body.quaternion);
                 
                 // Update velocity component
                 physics.velocity.x = physics.body.velocity.x;
@@ -197,6 +379,27 @@ export class PhysicsSystem extends System {
         }
     }
 
+    dispatchCollisionEvents(world) {
+        this.collisionEvents = this.collisions.flush();
+        
+        for (const collision of this.collisionEvents) {
+            // Resting on something: a contact pushing the entity up
+            if (collision.type !== 'CollisionExit' && !collision.isTrigger &&
+                collision.contacts.some(contact => contact.normal.y > 0.3)) {
+                const physics = world.getComponent(collision.entity, 'Physics');
+                if (physics) physics.isGrounded = true;
+            }
+            
+            world.getComponent(collision.entity, 'CollisionHandler')?.handle(collision, world);
+        }
+    }
+
+    onDestroy() {
+        this.unsubscribeRemove?.();
+        this.unsubscribeColliderRemove?.();
+        this.collisions?.dispose();
+    }
+
     // Utility methods
     setGravity(x, y, z) {
         this.gravity.x = x;
@@ -220,12 +423,49 @@ export class PhysicsSystem extends System {
         }
     }
 
-    // Ray casting
-    raycast(from, to, callback) {
-        if (this.physicsWorld) {
-            // Implementation would depend on physics library
-            // const result = this.physicsWorld.raycastFirst(from, to);
-            // callback(result);
+    // Scene queries; see PhysicsQueries.js for the hit format and filter options
+    // (mask, exclude, filter), plus `layer`/`layers` (see layerFilters).
+    // Without a Cannon world nothing is ever hit.
+
+    // mode: 'closest' (default) or 'any' return a hit or null, 'all' a sorted list
+    raycast(from, to, options = {}) {
+        // Older callers pass a callback for the closest hit
+        if (typeof options === 'function') {
+            const hit = this.raycast(from, to);
+            options(hit);
+            return hit;
         }
+        if (!this.physicsWorld) {
+            return options.mode === 'all' ? [] : null;
+        }
+        return castRay(this.physicsWorld, from, to, this.layerFilters(options));
+    }
+
+    overlapSphere(center, radius, options = {}) {
+        if (!this.physicsWorld) return [];
+        return overlapShape(this.physicsWorld, this.queryBody, new CANNON.Sphere(radius), center, undefined, this.layerFilters(options));
     }
+
+    // rotation: optional { x, y, z, w } in the options
+    overlapBox(center, halfExtents, { rotation, ...options } = {}) {
+        if (!this.physicsWorld) return [];
+        const shape = new CANNON.Box(new CANNON.Vec3(halfExtents.x, halfExtents.y, halfExtents.z));
+        return overlapShape(this.physicsWorld, this.queryBody, shape, center, rotation, this.layerFilters(options));
+    }
+
+    sweepSphere(from, to, radius, options = {}) {
+        if (!this.physicsWorld) return null;
+        return sweepShape(this.physicsWorld, this.queryBody, new CANNON.Sphere(radius), from, to, undefined, this.layerFilters(options));
+    }
+
+    sweepBox(from, to, halfExtents, { rotation, ...options } = {}) {
+        if (!this.physicsWorld) return null;
+        const shape = new CANNON.Box(new CANNON.Vec3(halfExtents.x, halfExtents.y, halfExtents.z));
+        return sweepShape(this.physicsWorld, this.queryBody, shape, from, to, rotation, this.layerFilters(options));
+    }
+}
+
+// A Collider's layer wins over its Physics component's
+function bodyLayer(physics, collider) {
+    return collider?.layer ?? physics?.layer ?? 'default';
 }
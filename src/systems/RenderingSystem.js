@@ -1,9 +1,14 @@
 import { System } from '../core/System.js';
+import { Added, Changed } from '../core/Query.js';
 import * as THREE from 'https://esm.sh/three@0.155.0';
 
 /**
  * Rendering System
- * Handles all 3D rendering using Three.js
+ * Handles all 3D rendering using Three.js.
+ * Owns the meshes of MeshRenderer components: they are built and added to the
+ * scene when the component appears, kept in sync with its properties, and
+ * removed and disposed when the component or entity goes away. Geometries and
+ * materials shared between renderers are disposed once the last user is gone.
  */
 export class RenderingSystem extends System {
     constructor(scene, camera, renderer) {
@@ -22,11 +27,27 @@ export class RenderingSystem extends System {
         this.enableShadows = true;
         this.enableFog = false;
         this.clearColor = 0x000000;
-        
-        this.priority = 100; // Render last
     }
 
     onInit(world) {
+        // Only meshes whose Transform changed since the last frame need syncing
+        this.changedTransforms = world.createQuery('Transform', 'MeshRenderer', Changed('Transform'));
+        this.interpolating = new Map(); // Map<entityId, query record> of meshes between two states
+        this.worldMatrix = new Float64Array(16);
+        this.meshMatrix = new THREE.Matrix4();
+
+        // Mesh lifecycle
+        this.addedRenderers = world.createQuery('MeshRenderer', Added('MeshRenderer'));
+        this.changedRenderers = world.createQuery('MeshRenderer', Changed('MeshRenderer'));
+        this.pendingRenderers = new Map(); // Map<entityId, MeshRenderer> still waiting for a geometry
+        this.resourceUsers = new Map(); // Map<geometry | material, number of meshes using it>
+
+        // Take meshes out of the scene when their MeshRenderer or entity goes away
+        this.unsubscribeRemove = world.onRemove('MeshRenderer', (entityId, renderer) => {
+            this.pendingRenderers.delete(entityId);
+            this.destroyMesh(renderer);
+        });
+
         // Setup renderer
         this.renderer.setSize(window.innerWidth, window.innerHeight);
         this.renderer.setClearColor(this.clearColor);
@@ -37,6 +58,9 @@ export class RenderingSystem extends System {
     }
 
     execute(world, deltaTime) {
+        // Build meshes for new renderers and apply property changes
+        this.updateMeshes(world);
+        
         // Update mesh transforms from Transform components
         this.updateMeshTransforms(world);
         
@@ -48,35 +72,137 @@ export class RenderingSystem extends System {
     }
 
     updateMeshTransforms(world) {
-        const entities = world.query('Transform', 'MeshRenderer');
+        // Transforms that changed since the last frame start (or keep) interpolating
+        for (const entity of this.changedTransforms.execute()) {
+            this.interpolating.set(entity.id, entity);
+        }
         
-        for (const entity of entities) {
+        const alpha = world.time.alpha;
+        for (const [entityId, entity] of this.interpolating) {
+            // Entity destroyed or lost a component since it was recorded
+            if (!this.changedTransforms.has(entityId)) {
+                this.interpolating.delete(entityId);
+                continue;
+            }
+            
             const transform = entity.Transform;
             const renderer = entity.MeshRenderer;
             
-            if (renderer.mesh && transform.dirty) {
-                // Update position
-                renderer.mesh.position.set(
-                    transform.position.x,
-                    transform.position.y,
-                    transform.position.z
-                );
-                
-                // Update rotation
-                renderer.mesh.rotation.set(
-                    transform.rotation.x,
-                    transform.rotation.y,
-                    transform.rotation.z
-                );
-                
-                // Update scale
-                renderer.mesh.scale.set(
-                    transform.scale.x,
-                    transform.scale.y,
-                    transform.scale.z
-                );
-
-                transform.dirty = false;
+            if (renderer.mesh) {
+                this.applyTransform(transform, renderer.mesh, alpha);
+            }
+            
+            // Once the mesh shows the current state it stays put until the next change
+            if (alpha >= 1 || !transform.isInterpolating()) {
+                this.interpolating.delete(entityId);
+            }
+        }
+    }
+
+    // Meshes sit flat in the scene graph, so they take the full world
+    // transform, parents included
+    applyTransform(transform, mesh, alpha = 1) {
+        transform.getInterpolatedWorldMatrix(alpha, this.worldMatrix);
+        this.meshMatrix.fromArray(this.worldMatrix);
+        this.meshMatrix.decompose(mesh.position, mesh.quaternion, mesh.scale);
+    }
+
+    updateMeshes(world) {
+        for (const { id, MeshRenderer: renderer } of this.addedRenderers.execute()) {
+            this.pendingRenderers.set(id, renderer);
+        }
+
+        // Renderers loaded without a geometry yet (e.g. an unresolved asset) are retried each frame
+        for (const [entityId, renderer] of this.pendingRenderers) {
+            if (renderer.mesh || renderer.geometry) {
+                this.pendingRenderers.delete(entityId);
+                this.createMesh(world, entityId, renderer);
+            }
+        }
+
+        for (const { MeshRenderer: renderer } of this.changedRenderers.execute()) {
+            if (renderer.mesh) {
+                this.applyProperties(renderer);
+            }
+        }
+    }
+
+    // Build (or adopt) the renderer's mesh and add it to the scene
+    createMesh(world, entityId, renderer) {
+        if (!renderer.mesh) {
+            renderer.material ??= new THREE.MeshLambertMaterial();
+            renderer.mesh = new THREE.Mesh(renderer.geometry, renderer.material);
+        }
+        
+        const { mesh } = renderer;
+        mesh.userData.entityId = entityId;
+        this.retain(renderer.geometry ?? mesh.geometry);
+        this.retain(renderer.material ?? mesh.material);
+        this.applyProperties(renderer);
+        
+        const transform = world.getComponent(entityId, 'Transform');
+        if (transform) {
+            this.applyTransform(transform, mesh);
+        }
+        this.addMeshToScene(mesh);
+    }
+
+    applyProperties(renderer) {
+        const { mesh } = renderer;
+        mesh.visible = renderer.visible;
+        mesh.castShadow = renderer.castShadows;
+        mesh.receiveShadow = renderer.receiveShadows;
+        mesh.renderOrder = renderer.renderOrder;
+
+        const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+        for (const material of materials) {
+            if (!material) continue;
+            if (renderer.color && material.color) {
+                material.color.setRGB(renderer.color.r, renderer.color.g, renderer.color.b);
+            }
+            if (renderer.opacity !== null) {
+                material.opacity = renderer.opacity;
+                material.transparent = renderer.opacity < 1;
+            }
+            if (renderer.wireframe !== null) {
+                material.wireframe = renderer.wireframe;
+            }
+        }
+    }
+
+    // Remove the renderer's mesh from the scene and dispose what nothing else uses
+    destroyMesh(renderer) {
+        const { mesh } = renderer;
+        if (!mesh) return;
+        
+        this.removeMeshFromScene(mesh);
+        this.release(renderer.geometry ?? mesh.geometry);
+        this.release(renderer.material ?? mesh.material);
+        renderer.mesh = null;
+    }
+
+    retain(resource) {
+        for (const item of Array.isArray(resource) ? resource : [resource]) {
+            if (item) {
+                this.resourceUsers.set(item, (this.resourceUsers.get(item) ?? 0) + 1);
+            }
+        }
+    }
+
+    release(resource) {
+        for (const item of Array.isArray(resource) ? resource : [resource]) {
+            if (!item || !this.resourceUsers.has(item)) continue;
+            
+            const users = this.resourceUsers.get(item) - 1;
+            if (users > 0) {
+                this.resourceUsers.set(item, users);
+            } else {
+                this.resourceUsers.delete(item);
+                if (item.isMaterial) {
+                    this.disposeMaterial(item);
+                } else {
+                    item.dispose?.();
+                }
             }
         }
     }
@@ -96,13 +222,13 @@ export class RenderingSystem extends System {
 
             if (renderer.mesh) {
                 const boundingBox = new THREE.Box3().setFromObject(renderer.mesh);
-                renderer.mesh.visible = frustum.intersectsBox(boundingBox);
+                renderer.mesh.visible = renderer.visible && frustum.intersectsBox(boundingBox);
             }
         }
     }
 
 
-    // Add mesh to scene
+    // Add an object that no MeshRenderer owns (MeshRenderer meshes are added automatically)
     addMeshToScene(mesh) {
         this.sceneGraph.add(mesh);
     }
@@ -138,6 +264,21 @@ export class RenderingSystem extends System {
         this.renderer.setClearColor(color);
     }
 
+    // Stats of the last rendered frame, read by the engine profiler
+    getRenderStats() {
+        const { render, memory } = this.renderer.info;
+        return {
+            drawCalls: render.calls,
+            triangles: render.triangles,
+            geometries: memory.geometries,
+            textures: memory.textures
+        };
+    }
+
+    onDestroy() {
+        this.unsubscribeRemove?.();
+    }
+
     dispose() {
         // Dispose of renderer
         this.renderer.dispose();
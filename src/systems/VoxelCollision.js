@@ -0,0 +1,57 @@
+/**
+ * Voxel Collision
+ * Merges the solid blocks of a voxel chunk (anything with size, maxHeight and
+ * getBlock(x, y, z), like VoxelChunk) into as few axis-aligned boxes as a greedy
+ * pass finds. PhysicsSystem turns them into one static compound body per chunk,
+ * so overhangs and caves collide like they render.
+ * Boxes are { x, y, z, width, height, depth } in block units, relative to the chunk.
+ */
+export function buildVoxelBoxes(chunk) {
+    const { size, maxHeight } = chunk;
+    const visited = new Uint8Array(size * maxHeight * size);
+    const index = (x, y, z) => x + z * size + y * size * size;
+    const isFree = (x, y, z) => chunk.getBlock(x, y, z) !== 0 && !visited[index(x, y, z)];
+    const boxes = [];
+
+    for (let y = 0; y < maxHeight; y++) {
+        for (let z = 0; z < size; z++) {
+            for (let x = 0; x < size; x++) {
+                if (!isFree(x, y, z)) continue;
+
+                // Grow a run along X, then rows along Z, then layers along Y
+                let width = 1;
+                while (x + width < size && isFree(x + width, y, z)) width++;
+
+                let depth = 1;
+                while (z + depth < size && rowIsFree(isFree, x, width, y, z + depth)) depth++;
+
+                let height = 1;
+                while (y + height < maxHeight && layerIsFree(isFree, x, width, y + height, z, depth)) height++;
+
+                for (let dy = 0; dy < height; dy++) {
+                    for (let dz = 0; dz < depth; dz++) {
+                        for (let dx = 0; dx < width; dx++) {
+                            visited[index(x + dx, y + dy, z + dz)] = 1;
+                        }
+                    }
+                }
+                boxes.push({ x, y, z, width, height, depth });
+            }
+        }
+    }
+    return boxes;
+}
+
+function rowIsFree(isFree, x, width, y, z) {
+    for (let dx = 0; dx < width; dx++) {
+        if (!isFree(x + dx, y, z)) return false;
+    }
+    return true;
+}
+
+function layerIsFree(isFree, x, width, y, z, depth) {
+    for (let dz = 0; dz < depth; dz++) {
+        if (!rowIsFree(isFree, x, width, y, z + dz)) return false;
+    }
+    return true;
+}
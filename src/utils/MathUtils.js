@@ -1,3 +1,5 @@
+import { Random } from './Random.js';
+
 /**
  * Math Utilities
  */
@@ -24,16 +26,28 @@ export const MathUtils = {
     },
 
     // Random functions
+    // Shared seedable generator. Seeded engines replace it with their world.random
+    // while they run; seed() gives it a generator of its own again.
+    rng: new Random(),
+
+    seed(seed) {
+        this.rng = new Random(seed);
+    },
+
+    createRandom(seed) {
+        return new Random(seed);
+    },
+
     random(min = 0, max = 1) {
-        return Math.random() * (max - min) + min;
+        return this.rng.float(min, max);
     },
 
     randomInt(min, max) {
-        return Math.floor(this.random(min, max + 1));
+        return this.rng.int(min, max);
     },
 
     randomChoice(array) {
-        return array[this.randomInt(0, array.length - 1)];
+        return this.rng.choice(array);
     },
 
     // Vector utilities
@@ -116,6 +130,333 @@ export const MathUtils = {
     }
 };
 
+/**
+ * Quaternion Utilities
+ * Quaternions are { x, y, z, w } objects; Euler angles are radians in XYZ order
+ * (the Three.js default). Functions write into `out` when given one.
+ */
+export const QuaternionUtils = {
+    identity(out = {}) {
+        out.x = 0; out.y = 0; out.z = 0; out.w = 1;
+        return out;
+    },
+
+    fromEuler(euler, out = {}) {
+        const c1 = Math.cos(euler.x / 2), s1 = Math.sin(euler.x / 2);
+        const c2 = Math.cos(euler.y / 2), s2 = Math.sin(euler.y / 2);
+        const c3 = Math.cos(euler.z / 2), s3 = Math.sin(euler.z / 2);
+        out.x = s1 * c2 * c3 + c1 * s2 * s3;
+        out.y = c1 * s2 * c3 - s1 * c2 * s3;
+        out.z = c1 * c2 * s3 + s1 * s2 * c3;
+        out.w = c1 * c2 * c3 - s1 * s2 * s3;
+        return out;
+    },
+
+    toEuler(q, out = {}) {
+        const { x, y, z, w } = q;
+        const m11 = 1 - 2 * (y * y + z * z), m12 = 2 * (x * y - w * z), m13 = 2 * (x * z + w * y);
+        const m22 = 1 - 2 * (x * x + z * z), m23 = 2 * (y * z - w * x);
+        const m32 = 2 * (y * z + w * x), m33 = 1 - 2 * (x * x + y * y);
+
+        const pitch = Math.asin(MathUtils.clamp(m13, -1, 1));
+        if (Math.abs(m13) < 0.9999999) {
+            out.x = Math.atan2(-m23, m33) + 0; // + 0 turns -0 into 0
+            out.y = pitch;
+            out.z = Math.atan2(-m12, m11) + 0;
+        } else {
+            // Gimbal lock: roll is folded into the X angle
+            out.x = Math.atan2(m32, m22) + 0;
+            out.y = pitch;
+            out.z = 0;
+        }
+        return out;
+    },
+
+    fromAxisAngle(axis, angle, out = {}) {
+        const half = angle / 2;
+        const s = Math.sin(half);
+        out.x = axis.x * s;
+        out.y = axis.y * s;
+        out.z = axis.z * s;
+        out.w = Math.cos(half);
+        return out;
+    },
+
+    // a * b: rotate by b, then by a
+    multiply(a, b, out = {}) {
+        const ax = a.x, ay = a.y, az = a.z, aw = a.w;
+        const bx = b.x, by = b.y, bz = b.z, bw = b.w;
+        out.x = ax * bw + aw * bx + ay * bz - az * by;
+        out.y = ay * bw + aw * by + az * bx - ax * bz;
+        out.z = az * bw + aw * bz + ax * by - ay * bx;
+        out.w = aw * bw - ax * bx - ay * by - az * bz;
+        return out;
+    },
+
+    // Inverse of a unit quaternion
+    invert(q, out = {}) {
+        out.x = -q.x;
+        out.y = -q.y;
+        out.z = -q.z;
+        out.w = q.w;
+        return out;
+    },
+
+    normalize(q, out = {}) {
+        const length = Math.hypot(q.x, q.y, q.z, q.w);
+        if (length === 0) return QuaternionUtils.identity(out);
+        out.x = q.x / length;
+        out.y = q.y / length;
+        out.z = q.z / length;
+        out.w = q.w / length;
+        return out;
+    },
+
+    equals(a, b) {
+        return a.x === b.x && a.y === b.y && a.z === b.z && a.w === b.w;
+    },
+
+    rotateVector(q, v, out = {}) {
+        const { x, y, z } = v;
+        // t = 2 * cross(q.xyz, v); v' = v + w * t + cross(q.xyz, t)
+        const tx = 2 * (q.y * z - q.z * y);
+        const ty = 2 * (q.z * x - q.x * z);
+        const tz = 2 * (q.x * y - q.y * x);
+        out.x = x + q.w * tx + q.y * tz - q.z * ty;
+        out.y = y + q.w * ty + q.z * tx - q.x * tz;
+        out.z = z + q.w * tz + q.x * ty - q.y * tx;
+        return out;
+    },
+
+    // Spherical interpolation along the shortest arc
+    slerp(a, b, t, out = {}) {
+        let bx = b.x, by = b.y, bz = b.z, bw = b.w;
+        let cosHalfTheta = a.x * bx + a.y * by + a.z * bz + a.w * bw;
+        if (cosHalfTheta < 0) {
+            bx = -bx; by = -by; bz = -bz; bw = -bw;
+            cosHalfTheta = -cosHalfTheta;
+        }
+
+        let wa, wb;
+        if (cosHalfTheta > 0.9995) {
+            // Nearly identical: lerp avoids dividing by ~0
+            wa = 1 - t;
+            wb = t;
+        } else {
+            const halfTheta = Math.acos(cosHalfTheta);
+            const sinHalfTheta = Math.sin(halfTheta);
+            wa = Math.sin((1 - t) * halfTheta) / sinHalfTheta;
+            wb = Math.sin(t * halfTheta) / sinHalfTheta;
+        }
+
+        out.x = a.x * wa + bx * wb;
+        out.y = a.y * wa + by * wb;
+        out.z = a.z * wa + bz * wb;
+        out.w = a.w * wa + bw * wb;
+        return QuaternionUtils.normalize(out, out);
+    },
+
+    // Rotation whose +Z axis points along `direction`, with +Y as close to `up` as possible
+    lookRotation(direction, up = { x: 0, y: 1, z: 0 }, out = {}) {
+        const zAxis = MathUtils.normalize(direction);
+        let xAxis = MathUtils.normalize(MathUtils.cross(up, zAxis));
+        if (MathUtils.magnitude(xAxis) === 0) {
+            // Looking straight along `up`: pick any perpendicular axis
+            xAxis = MathUtils.normalize(MathUtils.cross(Math.abs(zAxis.x) < 0.9 ? { x: 1, y: 0, z: 0 } : { x: 0, y: 0, z: 1 }, zAxis));
+        }
+        const yAxis = MathUtils.cross(zAxis, xAxis);
+        return QuaternionUtils.fromRotationMatrix(
+            xAxis.x, yAxis.x, zAxis.x,
+            xAxis.y, yAxis.y, zAxis.y,
+            xAxis.z, yAxis.z, zAxis.z,
+            out
+        );
+    },
+
+    // Rows of a pure rotation matrix
+    fromRotationMatrix(m11, m12, m13, m21, m22, m23, m31, m32, m33, out = {}) {
+        const trace = m11 + m22 + m33;
+        if (trace > 0) {
+            const s = 0.5 / Math.sqrt(trace + 1);
+            out.w = 0.25 / s;
+            out.x = (m32 - m23) * s;
+            out.y = (m13 - m31) * s;
+            out.z = (m21 - m12) * s;
+        } else if (m11 > m22 && m11 > m33) {
+            const s = 2 * Math.sqrt(1 + m11 - m22 - m33);
+            out.w = (m32 - m23) / s;
+            out.x = 0.25 * s;
+            out.y = (m12 + m21) / s;
+            out.z = (m13 + m31) / s;
+        } else if (m22 > m33) {
+            const s = 2 * Math.sqrt(1 + m22 - m11 - m33);
+            out.w = (m13 - m31) / s;
+            out.x = (m12 + m21) / s;
+            out.y = 0.25 * s;
+            out.z = (m23 + m32) / s;
+        } else {
+            const s = 2 * Math.sqrt(1 + m33 - m11 - m22);
+            out.w = (m21 - m12) / s;
+            out.x = (m13 + m31) / s;
+            out.y = (m23 + m32) / s;
+            out.z = 0.25 * s;
+        }
+        return out;
+    }
+};
+
+/**
+ * Matrix Utilities
+ * 4x4 matrices are 16-element arrays in column-major order, the layout used by
+ * Three.js (matrix.fromArray) and WebGL.
+ */
+export const MatrixUtils = {
+    create() {
+        return MatrixUtils.identity(new Float64Array(16));
+    },
+
+    identity(out) {
+        out.fill(0);
+        out[0] = out[5] = out[10] = out[15] = 1;
+        return out;
+    },
+
+    copy(m, out) {
+        for (let i = 0; i < 16; i++) out[i] = m[i];
+        return out;
+    },
+
+    // Translation * rotation * scale
+    compose(position, quaternion, scale, out) {
+        const { x, y, z, w } = quaternion;
+        const x2 = x + x, y2 = y + y, z2 = z + z;
+        const xx = x * x2, xy = x * y2, xz = x * z2;
+        const yy = y * y2, yz = y * z2, zz = z * z2;
+        const wx = w * x2, wy = w * y2, wz = w * z2;
+
+        out[0] = (1 - (yy + zz)) * scale.x;
+        out[1] = (xy + wz) * scale.x;
+        out[2] = (xz - wy) * scale.x;
+        out[3] = 0;
+        out[4] = (xy - wz) * scale.y;
+        out[5] = (1 - (xx + zz)) * scale.y;
+        out[6] = (yz + wx) * scale.y;
+        out[7] = 0;
+        out[8] = (xz + wy) * scale.z;
+        out[9] = (yz - wx) * scale.z;
+        out[10] = (1 - (xx + yy)) * scale.z;
+        out[11] = 0;
+        out[12] = position.x;
+        out[13] = position.y;
+        out[14] = position.z;
+        out[15] = 1;
+        return out;
+    },
+
+    // Split into position, rotation and scale; shear from non-uniformly scaled parents is lost
+    decompose(m, position, quaternion, scale) {
+        let sx = Math.hypot(m[0], m[1], m[2]);
+        const sy = Math.hypot(m[4], m[5], m[6]);
+        const sz = Math.hypot(m[8], m[9], m[10]);
+        if (MatrixUtils.determinant(m) < 0) sx = -sx;
+
+        if (position) {
+            position.x = m[12];
+            position.y = m[13];
+            position.z = m[14];
+        }
+        if (scale) {
+            scale.x = sx;
+            scale.y = sy;
+            scale.z = sz;
+        }
+        if (quaternion) {
+            const ix = sx === 0 ? 0 : 1 / sx, iy = sy === 0 ? 0 : 1 / sy, iz = sz === 0 ? 0 : 1 / sz;
+            QuaternionUtils.fromRotationMatrix(
+                m[0] * ix, m[4] * iy, m[8] * iz,
+                m[1] * ix, m[5] * iy, m[9] * iz,
+                m[2] * ix, m[6] * iy, m[10] * iz,
+                quaternion
+            );
+        }
+    },
+
+    // a * b (apply b first); safe when out aliases a or b
+    multiply(a, b, out) {
+        const result = out === a || out === b ? new Float64Array(16) : out;
+        for (let col = 0; col < 4; col++) {
+            for (let row = 0; row < 4; row++) {
+                result[col * 4 + row] =
+                    a[row] * b[col * 4] +
+                    a[4 + row] * b[col * 4 + 1] +
+                    a[8 + row] * b[col * 4 + 2] +
+                    a[12 + row] * b[col * 4 + 3];
+            }
+        }
+        return result === out ? out : MatrixUtils.copy(result, out);
+    },
+
+    determinant(m) {
+        const [n11, n21, n31, n41, n12, n22, n32, n42, n13, n23, n33, n43, n14, n24, n34, n44] = m;
+        return (
+            n41 * (n14 * n23 * n32 - n13 * n24 * n32 - n14 * n22 * n33 + n12 * n24 * n33 + n13 * n22 * n34 - n12 * n23 * n34) +
+            n42 * (n11 * n23 * n34 - n11 * n24 * n33 + n14 * n21 * n33 - n13 * n21 * n34 + n13 * n24 * n31 - n14 * n23 * n31) +
+            n43 * (n11 * n24 * n32 - n11 * n22 * n34 - n14 * n21 * n32 + n12 * n21 * n34 + n14 * n22 * n31 - n12 * n24 * n31) +
+            n44 * (-n13 * n22 * n31 - n11 * n23 * n32 + n11 * n22 * n33 + n13 * n21 * n32 - n12 * n21 * n33 + n12 * n23 * n31)
+        );
+    },
+
+    // Inverse of an affine matrix (last row 0, 0, 0, 1); zero scale gives the zero matrix
+    invertAffine(m, out) {
+        const a00 = m[0], a01 = m[1], a02 = m[2];
+        const a10 = m[4], a11 = m[5], a12 = m[6];
+        const a20 = m[8], a21 = m[9], a22 = m[10];
+        const tx = m[12], ty = m[13], tz = m[14];
+
+        const b01 = a22 * a11 - a12 * a21;
+        const b11 = -a22 * a10 + a12 * a20;
+        const b21 = a21 * a10 - a11 * a20;
+        const det = a00 * b01 + a01 * b11 + a02 * b21;
+        if (det === 0) return out.fill(0);
+        const inv = 1 / det;
+
+        out[0] = b01 * inv;
+        out[1] = (-a22 * a01 + a02 * a21) * inv;
+        out[2] = (a12 * a01 - a02 * a11) * inv;
+        out[3] = 0;
+        out[4] = b11 * inv;
+        out[5] = (a22 * a00 - a02 * a20) * inv;
+        out[6] = (-a12 * a00 + a02 * a10) * inv;
+        out[7] = 0;
+        out[8] = b21 * inv;
+        out[9] = (-a21 * a00 + a01 * a20) * inv;
+        out[10] = (a11 * a00 - a01 * a10) * inv;
+        out[11] = 0;
+        out[12] = -(out[0] * tx + out[4] * ty + out[8] * tz);
+        out[13] = -(out[1] * tx + out[5] * ty + out[9] * tz);
+        out[14] = -(out[2] * tx + out[6] * ty + out[10] * tz);
+        out[15] = 1;
+        return out;
+    },
+
+    transformPoint(m, point, out = {}) {
+        const { x, y, z } = point;
+        out.x = m[0] * x + m[4] * y + m[8] * z + m[12];
+        out.y = m[1] * x + m[5] * y + m[9] * z + m[13];
+        out.z = m[2] * x + m[6] * y + m[10] * z + m[14];
+        return out;
+    },
+
+    // Rotates and scales, ignoring translation
+    transformDirection(m, direction, out = {}) {
+        const { x, y, z } = direction;
+        out.x = m[0] * x + m[4] * y + m[8] * z;
+        out.y = m[1] * x + m[5] * y + m[9] * z;
+        out.z = m[2] * x + m[6] * y + m[10] * z;
+        return out;
+    }
+};
+
 /**
  * Color Utilities
  */
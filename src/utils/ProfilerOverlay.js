@@ -0,0 +1,134 @@
+/**
+ * Profiler Overlay
+ * In-page panel showing the engine Profiler: a rolling frame-time graph against
+ * the frame budget, stacked by phase, plus the slowest systems and frame counters.
+ *
+ *   const overlay = new ProfilerOverlay(engine.profiler, { budget: 1000 / 60 });
+ *   overlay.dispose();
+ */
+const PHASE_COLORS = ['#4fc3f7', '#81c784', '#ffb74d', '#e57373', '#ba68c8', '#fff176'];
+
+export class ProfilerOverlay {
+    constructor(profiler, {
+        parent = document.body,
+        budget = 1000 / 60,  // ms per frame
+        width = 320,
+        graphHeight = 80,
+        maxRows = 8,
+        textInterval = 250   // ms between text refreshes
+    } = {}) {
+        this.profiler = profiler;
+        this.budget = budget;
+        this.width = width;
+        this.graphHeight = graphHeight;
+        this.maxRows = maxRows;
+        this.textInterval = textInterval;
+        this.lastTextUpdate = 0;
+
+        this.element = document.createElement('div');
+        Object.assign(this.element.style, {
+            position: 'fixed',
+            top: '8px',
+            right: '8px',
+            width: `${width}px`,
+            padding: '6px',
+            background: 'rgba(0, 0, 0, 0.75)',
+            color: '#eee',
+            font: '11px monospace',
+            zIndex: 10000,
+            pointerEvents: 'none'
+        });
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = width;
+        this.canvas.height = graphHeight;
+        this.context = this.canvas.getContext('2d');
+
+        this.legend = document.createElement('div');
+        this.text = document.createElement('pre');
+        this.text.style.margin = '4px 0 0';
+
+        this.element.append(this.canvas, this.legend, this.text);
+        parent.appendChild(this.element);
+
+        profiler.enable();
+        this.unsubscribe = profiler.onFrame(() => this.update());
+    }
+
+    update() {
+        this.drawGraph();
+
+        const now = this.profiler.clock.now();
+        if (now - this.lastTextUpdate >= this.textInterval) {
+            this.lastTextUpdate = now;
+            this.text.textContent = this.formatReport(this.profiler.getReport());
+            this.updateLegend();
+        }
+    }
+
+    getPhaseSamples() {
+        return Array.from(this.profiler.samples.values()).filter(sample => sample.category === 'phase');
+    }
+
+    updateLegend() {
+        this.legend.replaceChildren(...this.getPhaseSamples().map((sample, i) => {
+            const label = document.createElement('span');
+            label.textContent = `■ ${sample.name} `;
+            label.style.color = PHASE_COLORS[i % PHASE_COLORS.length];
+            return label;
+        }));
+    }
+
+    // Frame time as a grey bar, with each phase stacked inside it
+    drawGraph() {
+        const { context, width, graphHeight: height, profiler } = this;
+        const scale = height / (this.budget * 2); // Budget line sits at half height
+        const frames = profiler.getHistory('frame');
+        const phases = this.getPhaseSamples().map(sample => profiler.getHistory('phase', sample.name));
+        const barWidth = width / frames.length;
+
+        context.clearRect(0, 0, width, height);
+        for (let i = 0; i < frames.length; i++) {
+            const x = i * barWidth;
+            context.fillStyle = frames[i] > this.budget ? '#7a2e2e' : '#444';
+            context.fillRect(x, height - frames[i] * scale, barWidth, frames[i] * scale);
+
+            let y = height;
+            phases.forEach((history, p) => {
+                const barHeight = history[i] * scale;
+                y -= barHeight;
+                context.fillStyle = PHASE_COLORS[p % PHASE_COLORS.length];
+                context.fillRect(x, y, barWidth, barHeight);
+            });
+        }
+
+        context.strokeStyle = '#fff';
+        context.beginPath();
+        context.moveTo(0, height / 2);
+        context.lineTo(width, height / 2);
+        context.stroke();
+    }
+
+    formatReport({ frame, counters, samples }) {
+        const ms = value => value.toFixed(2).padStart(6);
+        const lines = [
+            `frame ${ms(frame.average)} avg ${ms(frame.max)} max  budget ${this.budget.toFixed(1)}ms`,
+            `steps ${counters.fixedSteps}  entities ${counters.entities}  components ${counters.components}`,
+            `archetypes ${counters.archetypes}  draws ${counters.drawCalls}  tris ${counters.triangles}`,
+            ''
+        ];
+
+        // Slowest systems and custom measurements; phases are in the graph
+        const rows = samples.filter(sample => sample.category !== 'phase').slice(0, this.maxRows);
+        for (const sample of rows) {
+            const label = `${sample.category === 'system' ? '' : `[${sample.category}] `}${sample.name}`;
+            lines.push(`${label.slice(0, 24).padEnd(24)} ${ms(sample.average)} ${ms(sample.max)}`);
+        }
+        return lines.join('\n');
+    }
+
+    dispose() {
+        this.unsubscribe();
+        this.element.remove();
+    }
+}
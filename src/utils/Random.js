@@ -0,0 +1,80 @@
+/**
+ * Seedable Random
+ * Small, fast PRNG (mulberry32) with a 32-bit state that can be saved and
+ * restored. The same seed always produces the same sequence on every platform,
+ * which is what replays, lockstep networking and bug reports rely on.
+ */
+export class Random {
+    constructor(seed = Random.randomSeed()) {
+        this.setSeed(seed);
+    }
+
+    // Accepts numbers or strings; strings are hashed to a 32-bit seed
+    setSeed(seed) {
+        this.seed = typeof seed === 'string' ? hashString(seed) : seed >>> 0;
+        this.state = this.seed;
+        return this;
+    }
+
+    // Float in [0, 1)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    float(min = 0, max = 1) {
+        return this.next() * (max - min) + min;
+    }
+
+    // Integer in [min, max], both inclusive
+    int(min, max) {
+        return Math.floor(this.float(min, max + 1));
+    }
+
+    choice(array) {
+        return array[this.int(0, array.length - 1)];
+    }
+
+    // Independent generator derived from this one, e.g. one per subsystem,
+    // so adding random calls in one place doesn't shift every other sequence
+    fork(label = '') {
+        return new Random(hashString(String(label)) ^ Math.floor(this.next() * 4294967296));
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    setState(state) {
+        this.state = state >>> 0;
+    }
+
+    static randomSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+}
+
+// Stateless random value in [0, 1) for a list of integers, e.g. block
+// coordinates. Doesn't depend on call order: the same inputs give the same value.
+export function hashRandom(...values) {
+    let hash = 0x811C9DC5;
+    for (const value of values) {
+        hash = Math.imul(hash ^ (value | 0), 0x01000193);
+        hash ^= hash >>> 15;
+        hash = Math.imul(hash, 0x2C1B3C6D);
+        hash ^= hash >>> 12;
+    }
+    return (hash >>> 0) / 4294967296;
+}
+
+// FNV-1a, used for string seeds and state checksums
+export function hashString(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+}
@@ -0,0 +1,176 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Engine } from '../src/core/Engine.js';
+import { System } from '../src/core/System.js';
+import { ManualClock } from '../src/core/Clock.js';
+import { Transform } from '../src/components/Transform.js';
+import { Input } from '../src/components/Input.js';
+import { InputSystem } from '../src/systems/InputSystem.js';
+import { MathUtils } from '../src/utils/MathUtils.js';
+
+// Moves every Transform along x at `speed` units per second
+class DriftSystem extends System {
+    constructor(speed = 1) {
+        super('DriftSystem', 'update');
+        this.speed = speed;
+    }
+
+    execute(world, deltaTime) {
+        for (const { Transform: transform } of world.query('Transform')) {
+            transform.position.x += this.speed * deltaTime;
+        }
+    }
+}
+
+test('headless engines step without a window', () => {
+    assert.equal(typeof window, 'undefined');
+    const engine = new Engine({ headless: true, targetFPS: 60 });
+    engine.addSystem(new DriftSystem(6));
+    const entity = engine.world.createEntity();
+    engine.world.addComponent(entity, 'Transform', new Transform());
+
+    engine.step(60);
+
+    assert.equal(engine.world.time.fixedStep, 60);
+    assert.ok(Math.abs(engine.world.getComponent(entity, 'Transform').position.x - 6) < 1e-9);
+});
+
+test('frame stages get an interpolation factor between fixed steps', () => {
+    const clock = new ManualClock();
+    const ticks = [];
+    const engine = new Engine({
+        headless: true,
+        targetFPS: 100, // 10 ms fixed steps
+        clock,
+        scheduler: { request: tick => ticks.push(tick), cancel: () => {} }
+    });
+    engine.addSystem(new DriftSystem(100));
+    const entity = engine.world.createEntity();
+    engine.world.addComponent(entity, 'Transform', new Transform());
+
+    engine.start();
+    ticks.shift()(clock.advance(25)); // Two fixed steps and half of the next
+
+    const transform = engine.world.getComponent(entity, 'Transform');
+    assert.equal(engine.world.time.fixedStep, 2);
+    assert.ok(Math.abs(engine.world.time.alpha - 0.5) < 1e-9);
+    assert.ok(Math.abs(transform.position.x - 2) < 1e-9);
+    assert.ok(Math.abs(transform.getInterpolatedWorldMatrix(0.5)[12] - 1.5) < 1e-9);
+    engine.stop();
+});
+
+test('deterministic engines each get their own seeded random generator', () => {
+    const rolls = random => [random.int(1, 6), random.float(), random.float()];
+    const first = new Engine({ headless: true, deterministic: true, seed: 1234 });
+    const second = new Engine({ headless: true, deterministic: true, seed: 1234 });
+
+    const expected = rolls(first.world.random);
+    MathUtils.seed(99);
+    MathUtils.random();
+    assert.deepEqual(rolls(second.world.random), expected);
+    assert.equal(new Engine({ headless: true, deterministic: true }).world.random.seed, 0);
+});
+
+test('deterministic engines with the same seed produce the same MathUtils.random() sequence', () => {
+    class RollSystem extends System {
+        constructor(rolls) {
+            super('RollSystem', 'update');
+            this.rolls = rolls;
+        }
+
+        execute() {
+            this.rolls.push(MathUtils.random());
+        }
+    }
+
+    // Each engine rolls once while being set up, then both step interleaved
+    const createEngine = rolls => {
+        const engine = new Engine({ headless: true, deterministic: true, seed: 7 });
+        rolls.push(MathUtils.randomInt(1, 6));
+        engine.addSystem(new RollSystem(rolls));
+        return engine;
+    };
+    const firstRolls = [];
+    const secondRolls = [];
+    const first = createEngine(firstRolls);
+    const second = createEngine(secondRolls);
+    for (let i = 0; i < 3; i++) {
+        first.step();
+        second.step(2);
+    }
+    first.step(3);
+
+    assert.equal(firstRolls.length, 7);
+    assert.deepEqual(firstRolls, secondRolls);
+});
+
+test('time scale slows systems down and advanceStep runs one step while paused', () => {
+    const engine = new Engine({ headless: true, targetFPS: 60 });
+    engine.addSystem(new DriftSystem(1));
+    const entity = engine.world.createEntity();
+    engine.world.addComponent(entity, 'Transform', new Transform());
+    const transform = engine.world.getComponent(entity, 'Transform');
+
+    engine.setTimeScale(0.25);
+    engine.step(60);
+    assert.ok(Math.abs(transform.position.x - 0.25) < 1e-9);
+    assert.ok(Math.abs(engine.world.time.elapsed - 0.25) < 1e-9);
+    assert.throws(() => engine.setTimeScale(-1));
+
+    assert.equal(engine.advanceStep(), false);
+    engine.pause();
+    assert.equal(engine.advanceStep(), true);
+    assert.equal(engine.world.time.fixedStep, 61);
+});
+
+test('the profiler times every system, one frame per step() call', () => {
+    const engine = new Engine({ headless: true, profile: true });
+    engine.addSystem(new DriftSystem());
+    engine.profiler.startTrace();
+    engine.step(3);
+    engine.step(2);
+
+    const report = engine.profiler.getReport();
+    const calls = category => report.samples.find(sample => sample.category === category).calls;
+    assert.equal(calls('system'), 2);
+    assert.equal(calls('phase'), 2);
+    assert.equal(report.counters.fixedSteps, 2);
+    assert.equal(engine.profiler.frameCount, 2);
+    assert.equal(engine.profiler.getSample('system', 'DriftSystem').calls, 0);
+    assert.equal(engine.profiler.traceEvents.filter(event => event.cat === 'frame').length, 2);
+});
+
+test('recorded input replays into Input components tick by tick', () => {
+    const record = new Engine({ headless: true, deterministic: true });
+    const input = new InputSystem();
+    record.addSystem(input);
+    record.step(1);
+
+    input.startRecording({ metadata: { seed: 0 } });
+    record.setTimeScale(0.5); // Slow motion doesn't change the recorded tick length
+    input.keys.add('KeyW');
+    record.step(2);
+    input.keys.delete('KeyW');
+    input.keys.add('KeyA');
+    record.step(1);
+    const recording = input.stopRecording();
+    assert.ok(Math.abs(recording.fixedDelta - 1 / 60) < 1e-12);
+
+    const replay = new Engine({ headless: true, deterministic: true });
+    const replayInput = new InputSystem();
+    replay.addSystem(replayInput);
+    const player = replay.world.createEntity();
+    replay.world.addComponent(player, 'Input', new Input({ keyBindings: { KeyW: 'forward', KeyA: 'left' } }));
+    let completed = false;
+    replayInput.playRecording(JSON.stringify(recording), { onComplete: () => { completed = true; } });
+
+    const actions = [];
+    for (let i = 0; i < 3; i++) {
+        replay.step(1);
+        actions.push(replay.world.getComponent(player, 'Input').getActiveActions());
+    }
+    replay.step(1);
+
+    assert.deepEqual(actions, [['forward'], ['forward'], ['left']]);
+    assert.equal(completed, true);
+});
@@ -0,0 +1,32 @@
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { RenderingSystem } from '../src/systems/RenderingSystem.js';
+
+/**
+ * Test Helpers
+ * Headless stand-ins for what the browser provides.
+ */
+
+// RenderingSystem without WebGL: a renderer that draws nothing and a window to size it from
+export function createTestRenderingSystem({ width = 800, height = 600 } = {}) {
+    globalThis.window ??= { innerWidth: width, innerHeight: height };
+
+    const renderer = {
+        shadowMap: {},
+        info: { render: { calls: 0, triangles: 0 }, memory: { geometries: 0, textures: 0 } },
+        setSize() {},
+        setClearColor() {},
+        render() {}
+    };
+    const camera = new THREE.PerspectiveCamera(75, width / height, 0.1, 1000);
+    camera.position.set(0, 5, 20);
+    camera.updateMatrixWorld();
+    return new RenderingSystem(new THREE.Scene(), camera, renderer);
+}
+
+// Compare the given fields of a vector or quaternion
+export function assertNear(actual, expected, epsilon = 1e-6) {
+    for (const key of Object.keys(expected)) {
+        assert.ok(Math.abs(actual[key] - expected[key]) < epsilon, `${key}: ${actual[key]} is not ${expected[key]}`);
+    }
+}
@@ -0,0 +1,21 @@
+/**
+ * Test Loader
+ * The engine imports Three.js, Cannon and simplex-noise from CDNs so it runs in the
+ * browser without a build step. Under Node those URLs resolve to the devDependencies
+ * of the same versions instead.
+ */
+const CDN_PACKAGES = [
+    [/^https:\/\/cdn\.jsdelivr\.net\/npm\/cannon-es@[^/]+\/dist\/cannon-es\.js$/, () => 'cannon-es'],
+    [/^https:\/\/esm\.sh\/three@[^/]+(\/.*)?$/, match => `three${match[1] ?? ''}`],
+    [/^https:\/\/esm\.sh\/simplex-noise@[^/]+$/, () => 'simplex-noise']
+];
+
+export async function resolve(specifier, context, nextResolve) {
+    for (const [pattern, toPackage] of CDN_PACKAGES) {
+        const match = specifier.match(pattern);
+        if (match) {
+            return nextResolve(toPackage(match), { ...context, parentURL: import.meta.url });
+        }
+    }
+    return nextResolve(specifier, context);
+}
@@ -0,0 +1,320 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as CANNON from 'cannon-es';
+import { Engine } from '../src/core/Engine.js';
+import { PhysicsSystem } from '../src/systems/PhysicsSystem.js';
+import { buildVoxelBoxes } from '../src/systems/VoxelCollision.js';
+import { Transform } from '../src/components/Transform.js';
+import { Physics } from '../src/components/Physics.js';
+import { Collider } from '../src/components/Collider.js';
+import { CollisionHandler } from '../src/components/CollisionHandler.js';
+import { VoxelChunk } from '../voxelChunk.js';
+
+function createEngine(options) {
+    const engine = new Engine({ headless: true, targetFPS: 60 });
+    const physics = new PhysicsSystem(null, options);
+    engine.addSystem(physics);
+    return { engine, world: engine.world, physics };
+}
+
+function spawn(world, { position = { x: 0, y: 0, z: 0 }, physics = null, collider = null, handler = null } = {}) {
+    const entity = world.createEntity();
+    world.addComponent(entity, 'Transform', new Transform({ position }));
+    if (physics) world.addComponent(entity, 'Physics', new Physics(physics));
+    if (collider) world.addComponent(entity, 'Collider', new Collider(collider));
+    if (handler) world.addComponent(entity, 'CollisionHandler', new CollisionHandler(handler));
+    return entity;
+}
+
+// A size x size floor `height` blocks thick, with nothing above it
+function createFlatChunk(size, height) {
+    const chunk = new VoxelChunk(size, 8, null, 0, 0, 1);
+    chunk.data.fill(0);
+    for (let y = 0; y < height; y++) {
+        for (let z = 0; z < size; z++) {
+            for (let x = 0; x < size; x++) {
+                chunk.setBlock(x, y, z, 1);
+            }
+        }
+    }
+    return chunk;
+}
+
+test('dynamic bodies fall and come to rest on the ground', () => {
+    const { engine, world } = createEngine();
+    const ball = spawn(world, { position: { x: 0, y: 3, z: 0 }, physics: { mass: 1, restitution: 0 } });
+
+    engine.step(120);
+
+    const transform = world.getComponent(ball, 'Transform');
+    assert.ok(Math.abs(transform.position.y - 0.5) < 0.05, `rests at y ${transform.position.y}`);
+    assert.equal(world.getComponent(ball, 'Physics').isGrounded, true);
+});
+
+test('each Physics component gets one body, created when it is added', () => {
+    const { engine, world, physics } = createEngine();
+    const ball = spawn(world, { position: { x: 0, y: 3, z: 0 }, physics: { mass: 1 } });
+    engine.step(1);
+    const body = world.getComponent(ball, 'Physics').body;
+    const bodyCount = physics.physicsWorld.bodies.length;
+
+    // Moving to another archetype is not a new Physics component
+    world.addComponent(ball, 'Tag', {});
+    engine.step(1);
+    assert.equal(world.getComponent(ball, 'Physics').body, body);
+    assert.equal(physics.physicsWorld.bodies.length, bodyCount);
+
+    world.removeComponent(ball, 'Physics');
+    world.addComponent(ball, 'Physics', new Physics({ mass: 1 }));
+    engine.step(1);
+    assert.notEqual(world.getComponent(ball, 'Physics').body, body);
+    assert.equal(physics.physicsWorld.bodies.includes(body), false);
+    assert.equal(physics.physicsWorld.bodies.length, bodyCount);
+});
+
+test('Cannon takes exactly one fixed step per engine step, so runs repeat exactly', () => {
+    const run = () => {
+        const { engine, world, physics } = createEngine();
+        const balls = [0, 1, 2].map(i => spawn(world, {
+            position: { x: i * 0.3, y: 2 + i * 1.1, z: 0 },
+            physics: { mass: 1 }
+        }));
+        engine.step(90);
+        assert.equal(physics.physicsWorld.stepnumber, 90);
+        assert.ok(Math.abs(physics.physicsWorld.time - 1.5) < 1e-9);
+        return balls.map(ball => ({ ...world.getComponent(ball, 'Transform').position }));
+    };
+    assert.deepEqual(run(), run());
+});
+
+test('slow motion moves bodies a shorter distance every step', () => {
+    const { engine, world, physics } = createEngine({ ground: false });
+    engine.setTimeScale(0.5);
+    const ball = spawn(world, { position: { x: 0, y: 10, z: 0 }, physics: { mass: 1 } });
+    const transform = world.getComponent(ball, 'Transform');
+
+    let y = transform.position.y;
+    for (let i = 0; i < 30; i++) {
+        engine.step(1);
+        assert.ok(transform.position.y < y, `moved on step ${i + 1}`);
+        y = transform.position.y;
+    }
+    assert.ok(Math.abs(physics.physicsWorld.time - 0.25) < 1e-9);
+
+    engine.setTimeScale(0);
+    engine.step(5);
+    assert.equal(transform.position.y, y);
+});
+
+test('Collider shapes replace the default sphere and static colliders block bodies', () => {
+    const { engine, world } = createEngine({ ground: false });
+    const crate = spawn(world, {
+        position: { x: 0, y: 3, z: 0 },
+        physics: { mass: 1, restitution: 0 },
+        collider: { type: 'box', halfExtents: { x: 1, y: 0.25, z: 1 } }
+    });
+    spawn(world, { collider: { type: 'box', halfExtents: { x: 5, y: 0.5, z: 5 } } });
+
+    engine.step(120);
+
+    const body = world.getComponent(crate, 'Physics').body;
+    assert.equal(body.shapes.length, 1);
+    assert.equal(body.shapes[0].halfExtents.y, 0.25);
+    assert.ok(Math.abs(world.getComponent(crate, 'Transform').position.y - 0.75) < 0.05);
+});
+
+test('voxel chunks collide as merged boxes and rebuild after edits', () => {
+    const chunk = createFlatChunk(4, 2);
+    assert.equal(buildVoxelBoxes(chunk).length, 1);
+
+    const { engine, world, physics } = createEngine({ ground: false });
+    const body = physics.addVoxelChunk(chunk, { x: -2, y: 0, z: -2 });
+    const ball = spawn(world, { position: { x: 0.5, y: 4, z: 0.5 }, physics: { mass: 1, restitution: 0 } });
+
+    engine.step(120);
+    assert.ok(Math.abs(world.getComponent(ball, 'Transform').position.y - 2.5) < 0.05);
+
+    const oldShapes = body.shapes.slice();
+    chunk.setBlock(0, 1, 0, 0);
+    engine.step(1);
+    assert.ok(body.shapes.length > 1);
+    assert.ok(body.shapes.every(shape => shape.body === body));
+    assert.ok(oldShapes.every(shape => shape.body === null));
+
+    physics.removeVoxelChunk(chunk);
+    assert.equal(physics.physicsWorld.bodies.includes(body), false);
+});
+
+test('ray casts, overlaps and sweeps report the entities they hit', () => {
+    const { engine, world, physics } = createEngine();
+    const wall = spawn(world, { position: { x: 5, y: 1, z: 0 }, collider: { type: 'box', halfExtents: { x: 0.5, y: 1, z: 1 } } });
+    const post = spawn(world, { position: { x: 8, y: 1, z: 0 }, collider: { type: 'box', halfExtents: { x: 0.5, y: 1, z: 1 } } });
+    engine.step(1);
+
+    const hit = physics.raycast({ x: 0, y: 1, z: 0 }, { x: 10, y: 1, z: 0 });
+    assert.equal(hit.entityId, wall);
+    assert.ok(Math.abs(hit.distance - 4.5) < 1e-6);
+    assert.deepEqual(hit.normal, { x: -1, y: 0, z: 0 });
+
+    assert.equal(physics.raycast({ x: 0, y: 1, z: 0 }, { x: 10, y: 1, z: 0 }, { exclude: wall }).entityId, post);
+    assert.deepEqual(physics.raycast({ x: 0, y: 1, z: 0 }, { x: 10, y: 1, z: 0 }, { mode: 'all' }).map(h => h.entityId), [wall, post]);
+    assert.equal(physics.raycast({ x: 0, y: 1, z: 0 }, { x: 0, y: 1, z: 10 }), null);
+
+    const ground = physics.raycast({ x: 0, y: 5, z: 0 }, { x: 0, y: -5, z: 0 });
+    assert.equal(ground.entityId, null);
+    assert.ok(Math.abs(ground.point.y) < 1e-6);
+
+    assert.deepEqual(physics.overlapSphere({ x: 4.2, y: 1, z: 0.3 }, 0.5).map(o => o.entityId), [wall]);
+    assert.deepEqual(physics.overlapBox({ x: 2, y: 1, z: 0 }, { x: 0.5, y: 0.5, z: 0.5 }), []);
+
+    const sweep = physics.sweepSphere({ x: 0, y: 1, z: 0 }, { x: 10, y: 1, z: 0 }, 0.5);
+    assert.equal(sweep.entityId, wall);
+    assert.ok(Math.abs(sweep.position.x - 4) < 0.01, `stops at x ${sweep.position.x}`);
+    assert.equal(physics.sweepBox({ x: 0, y: 1, z: 5 }, { x: 10, y: 1, z: 5 }, { x: 0.5, y: 0.5, z: 0.5 }), null);
+});
+
+test('shape queries reuse one query body instead of allocating bodies', () => {
+    const { engine, world, physics } = createEngine();
+    const wall = spawn(world, { position: { x: 5, y: 1, z: 0 }, collider: { type: 'box', halfExtents: { x: 0.5, y: 1, z: 1 } } });
+    engine.step(1);
+
+    const nextBodyId = CANNON.Body.idCounter;
+    for (let i = 0; i < 50; i++) {
+        assert.equal(physics.overlapSphere({ x: 4.2, y: 1, z: 0 }, 0.5)[0].entityId, wall);
+        assert.deepEqual(physics.overlapBox({ x: 0, y: 3, z: 0 }, { x: 0.5, y: 0.5, z: 0.5 }), []);
+        assert.equal(physics.sweepBox({ x: 0, y: 1, z: 0 }, { x: 10, y: 1, z: 0 }, { x: 0.5, y: 0.5, z: 0.5 }).entityId, wall);
+    }
+    assert.equal(CANNON.Body.idCounter, nextBodyId);
+    assert.equal(physics.queryBody.shapes.length, 1);
+    assert.equal(physics.physicsWorld.bodies.includes(physics.queryBody), false);
+});
+
+test('collision handlers get enter and exit events, including for triggers', () => {
+    const { engine, world } = createEngine();
+    const events = [];
+    const record = type => collision => events.push([type, collision.entity, collision.other, collision.isTrigger]);
+    const handler = { onEnter: record('enter'), onExit: record('exit') };
+
+    const zone = spawn(world, {
+        position: { x: 0, y: 2, z: 0 },
+        collider: { type: 'box', halfExtents: { x: 1, y: 0.2, z: 1 }, isTrigger: true },
+        handler
+    });
+    const ball = spawn(world, { position: { x: 0, y: 4, z: 0 }, physics: { mass: 1, restitution: 0 }, handler });
+
+    engine.step(120);
+
+    assert.deepEqual(events.filter(([, entity]) => entity === zone), [
+        ['enter', zone, ball, true],
+        ['exit', zone, ball, true]
+    ]);
+    // The ball may bounce on the ground before it settles
+    const ballEvents = events.filter(([, entity]) => entity === ball);
+    assert.deepEqual(ballEvents.filter(([, , other]) => other === zone), [
+        ['enter', ball, zone, true],
+        ['exit', ball, zone, true]
+    ]);
+    assert.deepEqual(ballEvents.at(-1), ['enter', ball, null, false]);
+    assert.ok(Math.abs(world.getComponent(ball, 'Transform').position.y - 0.5) < 0.05);
+});
+
+test('resting contacts enter once and stay until the bodies separate', () => {
+    const { engine, world, physics } = createEngine();
+    const resting = [
+        { position: { x: -3, y: 0.6, z: 0 }, collider: { type: 'box', halfExtents: { x: 0.5, y: 0.5, z: 0.5 } } },
+        { position: { x: 3, y: 1, z: 0 }, collider: { type: 'cylinder', radius: 0.5, height: 1 } }
+    ].map(options => spawn(world, { ...options, physics: { mass: 1, restitution: 0 } }));
+    world.getComponent(resting[1], 'Transform').rotation = { x: 0.3, y: 0, z: 0.3 };
+
+    const counts = new Map(resting.map(entity => [entity, { CollisionEnter: 0, CollisionStay: 0, CollisionExit: 0 }]));
+    for (let i = 0; i < 300; i++) {
+        engine.step(1);
+        for (const { type, entity } of physics.collisionEvents) {
+            counts.get(entity)[type]++;
+        }
+    }
+
+    for (const entity of resting) {
+        const { CollisionEnter, CollisionStay, CollisionExit } = counts.get(entity);
+        assert.equal(CollisionEnter, 1);
+        assert.equal(CollisionExit, 0);
+        assert.ok(CollisionStay > 250);
+    }
+
+    // Lifting a body off ends the contact
+    const box = world.getComponent(resting[0], 'Physics').body;
+    box.position.y = 5;
+    box.velocity.set(0, 0, 0);
+    const exits = [];
+    for (let i = 0; i < 3; i++) {
+        engine.step(1);
+        exits.push(...physics.collisionEvents.filter(event => event.type === 'CollisionExit'));
+    }
+    assert.deepEqual(exits.map(event => [event.entity, event.other]), [[resting[0], null]]);
+});
+
+test('collision events work with body ids past 16 bits', () => {
+    CANNON.Body.idCounter = Math.max(CANNON.Body.idCounter, 70000);
+    const { engine, world, physics } = createEngine();
+    const events = [];
+    const record = collision => events.push([collision.type, collision.entity, collision.other]);
+    const zone = spawn(world, {
+        position: { x: 0, y: 2, z: 0 },
+        collider: { type: 'box', halfExtents: { x: 1, y: 0.2, z: 1 }, isTrigger: true },
+        handler: { onEnter: record, onExit: record }
+    });
+    const ball = spawn(world, { position: { x: 0, y: 3, z: 0 }, physics: { mass: 1, restitution: 0 } });
+
+    engine.step(90);
+
+    assert.ok(world.getComponent(ball, 'Physics').body.id > 65535);
+    assert.deepEqual(events, [['CollisionEnter', zone, ball], ['CollisionExit', zone, ball]]);
+    assert.equal(world.getComponent(ball, 'Physics').isGrounded, true);
+    // Events come from the public contact list; Cannon's overlap bookkeeping is untouched
+    assert.equal(Object.hasOwn(physics.physicsWorld.bodyOverlapKeeper, 'set'), false);
+});
+
+test('bodies on layers that ignore each other pass through', () => {
+    const { engine, world, physics } = createEngine({ layers: { ignore: [['ghost', 'terrain']] } });
+    const ghost = spawn(world, { position: { x: 0, y: 1, z: 0 }, physics: { mass: 1, layer: 'ghost' } });
+    const ball = spawn(world, { position: { x: 3, y: 1, z: 0 }, physics: { mass: 1 } });
+
+    engine.step(60);
+
+    assert.ok(world.getComponent(ghost, 'Transform').position.y < -1);
+    assert.ok(world.getComponent(ball, 'Transform').position.y > 0.4);
+    assert.equal(physics.layers.collides('ghost', 'terrain'), false);
+    assert.equal(physics.raycast({ x: 3, y: 5, z: 0 }, { x: 3, y: -5, z: 0 }, { layers: ['terrain'] }).entityId, null);
+    assert.equal(physics.raycast({ x: 3, y: 5, z: 0 }, { x: 3, y: -5, z: 0 }).entityId, ball);
+});
+
+test('layer changes apply on the next step without revisiting every body', () => {
+    const { engine, world, physics } = createEngine();
+    const balls = [0, 1, 2, 3].map(i => spawn(world, { position: { x: i * 2 - 3, y: 0.5, z: 0 }, physics: { mass: 1 } }));
+    engine.step(1);
+
+    let applied = 0;
+    const applyLayer = physics.applyLayer;
+    physics.applyLayer = function (...args) {
+        applied++;
+        return applyLayer.apply(this, args);
+    };
+    engine.step(10);
+    assert.equal(applied, 0);
+
+    world.getComponent(balls[0], 'Physics').setLayer('ghost');
+    engine.step(1);
+    assert.equal(applied, 1);
+    const ghost = world.getComponent(balls[0], 'Physics').body;
+    assert.equal(ghost.collisionFilterGroup, physics.layers.group('ghost'));
+
+    // Matrix edits reach every body once
+    physics.layers.ignore('ghost', 'terrain');
+    applied = 0;
+    engine.step(1);
+    assert.equal(applied, physics.physicsWorld.bodies.length);
+    assert.equal(ghost.collisionFilterMask & physics.layers.group('terrain'), 0);
+    engine.step(30);
+    assert.ok(world.getComponent(balls[0], 'Transform').position.y < 0);
+    assert.ok(world.getComponent(balls[1], 'Transform').position.y > 0.4);
+});
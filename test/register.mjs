@@ -0,0 +1,4 @@
+// node --import ./test/register.mjs: install the CDN loader before any test module loads
+import { register } from 'node:module';
+
+register('./loader.mjs', import.meta.url);
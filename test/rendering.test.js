@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { Engine } from '../src/core/Engine.js';
+import { Transform } from '../src/components/Transform.js';
+import { MeshRenderer } from '../src/components/MeshRenderer.js';
+import { Physics } from '../src/components/Physics.js';
+import { PhysicsSystem } from '../src/systems/PhysicsSystem.js';
+import { createTestRenderingSystem, assertNear } from './helpers.js';
+
+function createEngine() {
+    const engine = new Engine({ headless: true, width: 800, height: 600 });
+    const rendering = createTestRenderingSystem();
+    engine.addSystem(rendering);
+    return { engine, rendering };
+}
+
+test('meshes are built for MeshRenderers and follow their Transform', () => {
+    const { engine, rendering } = createEngine();
+    const world = engine.world;
+    const entity = world.createEntity();
+    world.addComponent(entity, 'Transform', new Transform({ position: { x: 1, y: 2, z: 3 } }));
+    world.addComponent(entity, 'MeshRenderer', new MeshRenderer({
+        geometry: new THREE.BoxGeometry(1, 1, 1),
+        color: { r: 1, g: 0, b: 0 }
+    }));
+
+    engine.step(1);
+    const { mesh } = world.getComponent(entity, 'MeshRenderer');
+    assert.ok(mesh);
+    assert.equal(mesh.parent, rendering.sceneGraph);
+    assert.equal(mesh.userData.entityId, entity);
+    assert.equal(mesh.material.color.r, 1);
+    assertNear(mesh.position, { x: 1, y: 2, z: 3 });
+
+    world.getComponent(entity, 'Transform').position.y = 5;
+    engine.step(1);
+    assertNear(mesh.position, { x: 1, y: 5, z: 3 });
+});
+
+test('meshes are removed and shared resources disposed with their last user', () => {
+    const { engine, rendering } = createEngine();
+    const world = engine.world;
+    const geometry = new THREE.BoxGeometry(1, 1, 1);
+    let disposed = 0;
+    geometry.addEventListener('dispose', () => disposed++);
+
+    const entities = [0, 1].map(() => {
+        const entity = world.createEntity();
+        world.addComponent(entity, 'Transform', new Transform());
+        world.addComponent(entity, 'MeshRenderer', new MeshRenderer({ geometry }));
+        return entity;
+    });
+    engine.step(1);
+    assert.equal(rendering.sceneGraph.children.length, 2);
+
+    world.destroyEntity(entities[0]);
+    assert.equal(rendering.sceneGraph.children.length, 1);
+    assert.equal(disposed, 0);
+
+    world.removeComponent(entities[1], 'MeshRenderer');
+    assert.equal(rendering.sceneGraph.children.length, 0);
+    assert.equal(disposed, 1);
+});
+
+test('Transforms and meshes follow their physics bodies every step', () => {
+    const { engine } = createEngine();
+    const physics = new PhysicsSystem();
+    engine.addSystem(physics);
+    const world = engine.world;
+
+    const ball = world.createEntity();
+    world.addComponent(ball, 'Transform', new Transform({ position: { x: 1, y: 5, z: 0 } }));
+    world.addComponent(ball, 'Physics', new Physics({ mass: 1 }));
+    world.addComponent(ball, 'MeshRenderer', new MeshRenderer({ geometry: new THREE.SphereGeometry(0.5) }));
+    const transform = world.getComponent(ball, 'Transform');
+
+    engine.step(1);
+    const { body } = world.getComponent(ball, 'Physics');
+    const { mesh } = world.getComponent(ball, 'MeshRenderer');
+    body.angularVelocity.set(0, 2, 0); // Tumble, so rotation is followed too
+    body.angularDamping = 0;
+
+    let version = transform.version;
+    for (let i = 0; i < 20; i++) {
+        engine.step(1);
+
+        assert.ok(transform.version > version, `Transform changed on step ${i + 1}`);
+        version = transform.version;
+        assertNear(transform.position, body.position, 1e-9);
+        assertNear(transform.quaternion, body.quaternion, 1e-9);
+        assertNear(mesh.position, body.position);
+        assertNear(mesh.quaternion, body.quaternion);
+    }
+    assert.ok(transform.position.y < 5);
+    assert.ok(Math.abs(transform.rotation.y) > 0.5);
+});
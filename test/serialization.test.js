@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { World } from '../src/core/World.js';
+import { Transform } from '../src/components/Transform.js';
+import { Physics } from '../src/components/Physics.js';
+
+class Health {
+    constructor({ value = 100, max = 100 } = {}) {
+        this.value = value;
+        this.max = max;
+    }
+}
+
+function registerHealth(world) {
+    world.registerComponent(Health, {
+        name: 'Health',
+        schema: { value: 'number', max: 'number' },
+        defaults: { value: 100, max: 100 }
+    });
+}
+
+test('registered components are validated and built with defaults', () => {
+    const world = new World();
+    registerHealth(world);
+    const entity = world.createEntity();
+
+    world.addComponent(entity, Health, { value: 50 });
+    const health = world.getComponent(entity, 'Health');
+    assert.ok(health instanceof Health);
+    assert.equal(health.value, 50);
+    assert.equal(health.max, 100);
+
+    assert.throws(() => world.addComponent(entity, Health, { value: 'full' }));
+    assert.throws(() => world.addComponent(entity, Transform, { positon: {} }), /did you mean "position"/);
+});
+
+test('partial object fields keep their other defaults', () => {
+    const world = new World();
+    const entity = world.createEntity();
+    world.addComponent(entity, Transform, { position: { x: 3 } });
+
+    const transform = world.getComponent(entity, 'Transform');
+    assert.deepEqual({ ...transform.position }, { x: 3, y: 0, z: 0 });
+    assert.deepEqual({ ...transform.scale }, { x: 1, y: 1, z: 1 });
+});
+
+for (const format of ['json', 'binary']) {
+    test(`worlds round-trip through ${format} snapshots`, () => {
+        const world = new World();
+        registerHealth(world);
+        const player = world.createEntity();
+        world.addComponent(player, 'Transform', new Transform({ position: { x: 1, y: 2, z: 3 } }));
+        world.addComponent(player, 'Physics', new Physics({ mass: 4 }));
+        world.addComponent(player, Health, { value: 25 });
+        world.addComponent(world.createEntity(), 'Marker', { label: 'spawn' });
+
+        const loaded = World.deserialize(world.serialize({ format }));
+
+        const [entity] = loaded.query('Transform', 'Physics', 'Health');
+        assert.deepEqual({ ...entity.Transform.position }, { x: 1, y: 2, z: 3 });
+        assert.equal(entity.Physics.mass, 4);
+        assert.equal(entity.Physics.body, null);
+        assert.equal(entity.Health.value, 25);
+        assert.deepEqual(loaded.query('Marker').map(marker => marker.Marker), [{ label: 'spawn' }]);
+        assert.equal(loaded.checksum(), world.checksum());
+    });
+}
+
+test('snapshots save the random generator state and the checksum covers it', () => {
+    const world = new World({ seed: 42 });
+    world.random.next();
+    const checksum = world.checksum();
+    const saved = { json: world.serialize(), binary: world.serialize({ format: 'binary' }) };
+    const expected = [world.random.next(), world.random.next()];
+    assert.notEqual(world.checksum(), checksum);
+
+    for (const input of Object.values(saved)) {
+        const loaded = World.deserialize(input);
+        assert.equal(loaded.random.seed, 42);
+        assert.equal(loaded.checksum(), checksum);
+        assert.deepEqual([loaded.random.next(), loaded.random.next()], expected);
+    }
+});
+
+test('transform parents are saved and relinked on load', () => {
+    const world = new World();
+    const child = world.createEntity();
+    const parent = world.createEntity();
+    world.addComponent(child, 'Transform', new Transform({ position: { x: 1, y: 0, z: 0 } }));
+    world.addComponent(parent, 'Transform', new Transform({ position: { x: 10, y: 0, z: 0 } }));
+    world.getComponent(child, 'Transform').setParent(world.getComponent(parent, 'Transform'));
+
+    const loaded = World.deserialize(world.serialize());
+
+    const transforms = loaded.query('Transform').map(entity => entity.Transform);
+    const loadedChild = transforms.find(transform => transform.parent);
+    assert.ok(loadedChild);
+    assert.deepEqual(loadedChild.parent.children, [loadedChild]);
+    assert.equal(loadedChild.position.x, 1);
+    assert.equal(loadedChild.getWorldPosition().x, 11);
+});
+
+test('prefab instances spawn their children and are destroyed as a unit', () => {
+    const world = new World();
+    world.registerPrefab({
+        name: 'wheel',
+        components: { Transform: { position: { y: -0.5 } } }
+    });
+    world.registerPrefab({
+        name: 'cart',
+        components: { Transform: { position: { y: 1 } }, Physics: { mass: 5 } },
+        children: [
+            { name: 'left', prefab: 'wheel', components: { Transform: { position: { x: -1 } } } },
+            { name: 'right', prefab: 'wheel', components: { Transform: { position: { x: 1 } } } }
+        ]
+    });
+
+    const cart = world.instantiate('cart', {
+        Transform: { position: { x: 3 } },
+        children: { right: { Physics: { mass: 1 } } }
+    });
+
+    const root = world.getComponent(cart, 'Transform');
+    assert.deepEqual({ ...root.position }, { x: 3, y: 1, z: 0 });
+    assert.equal(world.getComponent(cart, 'Physics').mass, 5);
+    assert.equal(root.children.length, 2);
+    assert.deepEqual(root.children.map(child => child.getWorldPosition().x).sort(), [2, 4]);
+    assert.equal(world.query('Physics').length, 2);
+
+    world.destroyInstance(cart);
+    assert.equal(world.getEntityCount(), 0);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { System, SystemManager } from '../src/core/System.js';
+
+class LogSystem extends System {
+    constructor(name, phase, log, options) {
+        super(name, phase, options);
+        this.log = log;
+    }
+
+    execute(world, deltaTime) {
+        this.log.push(this.name);
+    }
+}
+
+// Run every stage once, fixed stages before frame stages, like one engine frame
+function runStages(manager) {
+    for (const stage of [...manager.getFixedStages(), ...manager.getFrameStages()]) {
+        manager.executePhase(stage, null, 0);
+    }
+}
+
+test('systems run in stage order and respect runsAfter/runsBefore', () => {
+    const log = [];
+    const manager = new SystemManager();
+    manager.addStage('ui', { fixed: false, runsAfter: ['render'] });
+    manager.addSystem(new LogSystem('Hud', 'ui', log));
+    manager.addSystem(new LogSystem('Camera', 'update', log, { runsAfter: ['Movement'] }));
+    manager.addSystem(new LogSystem('Movement', 'update', log));
+    manager.addSystem(new LogSystem('Draw', 'render', log));
+    manager.addSystem(new LogSystem('Collide', 'physics', log, { runsBefore: ['Integrate'] }));
+    manager.addSystem(new LogSystem('Integrate', 'physics', log));
+
+    runStages(manager);
+
+    assert.deepEqual(log, ['Collide', 'Integrate', 'Movement', 'Camera', 'Draw', 'Hud']);
+});
+
+test('cyclic ordering constraints fail when systems are sorted', () => {
+    const manager = new SystemManager();
+    manager.addSystem(new LogSystem('A', 'update', [], { runsAfter: ['B'] }));
+    manager.addSystem(new LogSystem('B', 'update', [], { runsAfter: ['A'] }));
+
+    assert.throws(() => manager.sortSystems(), /cycle/);
+    assert.throws(() => {
+        manager.removeSystem('B');
+        manager.addSystem(new LogSystem('Orphan', 'missing', []));
+        manager.sortSystems();
+    }, /unknown stage/);
+});
+
+test('systems can be looked up and replaced by name or class', () => {
+    class Movement extends LogSystem {}
+    const manager = new SystemManager();
+    const movement = new Movement('Movement', 'update', []);
+    manager.addSystem(movement);
+
+    assert.equal(manager.getSystem('Movement'), movement);
+    assert.equal(manager.getSystem(Movement), movement);
+    assert.equal(manager.getSystem('Missing'), null);
+    assert.throws(() => manager.addSystem(new LogSystem('Movement', 'update', [])));
+
+    const log = [];
+    const faster = new Movement('Movement', 'update', log);
+    manager.replaceSystem(Movement, faster);
+    assert.equal(manager.getSystem('Movement'), faster);
+    assert.equal(manager.hasSystem(Movement), true);
+    assert.throws(() => manager.replaceSystem('Missing', new LogSystem('Other', 'update', [])));
+
+    runStages(manager);
+    assert.deepEqual(log, ['Movement']);
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Transform } from '../src/components/Transform.js';
+import { World } from '../src/core/World.js';
+import { Changed } from '../src/core/Query.js';
+import { assertNear } from './helpers.js';
+
+test('interpolation blends between the previous and current fixed step', () => {
+    const transform = new Transform({ position: { x: 0, y: 1, z: 0 } });
+    transform.savePreviousState();
+    transform.setPosition(2, 1, 0);
+
+    assert.equal(transform.isInterpolating(), true);
+    assert.deepEqual({ ...transform.interpolate(0.25).position }, { x: 0.5, y: 1, z: 0 });
+
+    transform.resetInterpolation();
+    assert.equal(transform.isInterpolating(), false);
+    assert.equal(transform.interpolate(0).position.x, 2);
+});
+
+test('children follow their parent through world matrices', () => {
+    const tank = new Transform({ position: { x: 5, y: 0, z: 0 }, rotation: { x: 0, y: Math.PI / 2, z: 0 } });
+    const turret = new Transform({ position: { x: 0, y: 1, z: 2 } });
+    tank.addChild(turret);
+
+    assertNear(turret.getWorldPosition(), { x: 7, y: 1, z: 0 });
+
+    tank.position.x = 0;
+    assertNear(turret.getWorldPosition(), { x: 2, y: 1, z: 0 });
+
+    turret.setParent(null, { keepWorldTransform: true });
+    assertNear(turret.position, { x: 2, y: 1, z: 0 });
+    assert.throws(() => turret.addChild(turret));
+});
+
+test('rotation interpolates along the shortest arc between quaternions', () => {
+    const transform = new Transform();
+    transform.savePreviousState();
+    transform.rotateOnAxis({ x: 0, y: 1, z: 0 }, Math.PI / 2);
+
+    assertNear(transform.interpolate(0.5).quaternion, { x: 0, y: Math.sin(Math.PI / 8), z: 0, w: Math.cos(Math.PI / 8) });
+
+    // q and -q are the same rotation, so blending between them must not turn at all
+    transform.savePreviousState();
+    const { x, y, z, w } = transform.quaternion;
+    transform.setQuaternion({ x: -x, y: -y, z: -z, w: -w });
+    const half = transform.interpolate(0.5).quaternion;
+    assert.ok(Math.abs(half.x * x + half.y * y + half.z * z + half.w * w) > 1 - 1e-9);
+});
+
+test('rotation is stored as a quaternion with a writable Euler view', () => {
+    const transform = new Transform();
+    for (let i = 0; i < 10; i++) {
+        transform.rotation.y += 0.1;
+    }
+    assertNear(transform.rotation, { x: 0, y: 1, z: 0 });
+    assertNear(transform.quaternion, { x: 0, y: Math.sin(0.5), z: 0, w: Math.cos(0.5) });
+
+    transform.rotation = { x: 0, y: 0, z: 0 };
+    transform.rotateOnAxis({ x: 0, y: 0, z: 1 }, Math.PI);
+    assertNear(transform.quaternion, { x: 0, y: 0, z: 1, w: 0 });
+});
+
+test('rotate() adds Euler angles and rotateLocal() turns around local axes', () => {
+    const added = new Transform({ rotation: { x: 0, y: 0, z: Math.PI / 2 } });
+    const local = new Transform({ rotation: { x: 0, y: 0, z: Math.PI / 2 } });
+    added.rotate(0.5, 0, 0);
+    local.rotateLocal(0.5, 0, 0);
+
+    assertNear(added.rotation, { x: 0.5, y: 0, z: Math.PI / 2 });
+    // Local x points along world y after the roll, so the turn happens about world y
+    assertNear(local.rotation, { x: 0, y: 0.5, z: Math.PI / 2 });
+});
+
+test('writes bump the version and match Changed queries', () => {
+    const world = new World();
+    const entity = world.createEntity();
+    world.addComponent(entity, 'Transform', new Transform());
+    const transform = world.getComponent(entity, 'Transform');
+    const moved = world.createQuery('Transform', Changed('Transform'));
+    moved.execute();
+
+    const version = transform.version;
+    transform.position.x = 0; // Same value: not a change
+    assert.equal(transform.version, version);
+    assert.equal(moved.execute().length, 0);
+
+    transform.scale.y = 2;
+    assert.ok(transform.version > version);
+    assert.equal(moved.execute().length, 1);
+});
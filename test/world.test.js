@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { World } from '../src/core/World.js';
+import { Without, Optional, Added, Changed } from '../src/core/Query.js';
+import { CommandBuffer } from '../src/core/CommandBuffer.js';
+import { entityIndex, entityGeneration } from '../src/core/Entity.js';
+import { Transform } from '../src/components/Transform.js';
+
+function spawn(world, components) {
+    const entityId = world.createEntity();
+    for (const [name, data] of Object.entries(components)) {
+        world.addComponent(entityId, name, data);
+    }
+    return entityId;
+}
+
+test('entities with the same components share an archetype', () => {
+    const world = new World();
+    const a = spawn(world, { Health: { value: 1 }, Tag: {} });
+    const b = spawn(world, { Tag: {}, Health: { value: 2 } });
+    spawn(world, { Health: { value: 3 } });
+
+    assert.equal(world.entityLocations.get(a).archetype, world.entityLocations.get(b).archetype);
+    assert.deepEqual(world.query('Health', 'Tag').map(entity => entity.id).sort(), [a, b].sort());
+    assert.equal(world.query('Health').length, 3);
+});
+
+test('queries stay up to date as components are added and removed', () => {
+    const world = new World();
+    const entity = spawn(world, { Health: { value: 1 } });
+    assert.equal(world.query('Health', 'Tag').length, 0);
+
+    world.addComponent(entity, 'Tag', {});
+    assert.equal(world.query('Health', 'Tag').length, 1);
+    assert.equal(world.query('Health', 'Tag')[0].Health.value, 1);
+
+    world.removeComponent(entity, 'Tag');
+    assert.equal(world.query('Health', 'Tag').length, 0);
+    assert.equal(world.getComponent(entity, 'Health').value, 1);
+});
+
+test('query results can be iterated while destroying entities', () => {
+    const world = new World();
+    for (let i = 0; i < 6; i++) {
+        spawn(world, { Health: { value: i } });
+    }
+
+    let visited = 0;
+    for (const entity of world.query('Health')) {
+        world.destroyEntity(entity.id);
+        visited++;
+    }
+    assert.equal(visited, 6);
+    assert.equal(world.getEntityCount(), 0);
+});
+
+test('Without, Optional, Added and Changed filter query results', () => {
+    const world = new World();
+    const plain = spawn(world, { Transform: new Transform() });
+    const frozen = spawn(world, { Transform: new Transform(), Static: {} });
+
+    assert.deepEqual(world.query('Transform', Without('Static')).map(entity => entity.id), [plain]);
+    const optional = world.query('Transform', Optional('Static'));
+    assert.equal(optional.find(entity => entity.id === plain).Static, undefined);
+    assert.deepEqual(optional.find(entity => entity.id === frozen).Static, {});
+
+    const added = world.createQuery('Transform', Added('Transform'));
+    const changed = world.createQuery('Transform', Changed('Transform'));
+    assert.equal(added.execute().length, 2);
+    assert.equal(changed.execute().length, 2);
+    assert.equal(added.execute().length, 0);
+    assert.equal(changed.execute().length, 0);
+
+    world.getComponent(plain, 'Transform').position.x = 5;
+    assert.deepEqual(changed.execute().map(entity => entity.id), [plain]);
+    assert.equal(added.execute().length, 0);
+});
+
+test('observers see components added, removed and entities destroyed', () => {
+    const world = new World();
+    const events = [];
+    const unsubscribe = world.onAdd('Health', entityId => events.push(['add', entityId]));
+    world.onRemove('Health', (entityId, health) => events.push(['remove', entityId, health.value]));
+    world.onEntityDestroyed(entityId => events.push(['destroyed', entityId]));
+
+    const entity = spawn(world, { Health: { value: 7 } });
+    world.destroyEntity(entity);
+    unsubscribe();
+    spawn(world, { Health: { value: 1 } });
+
+    assert.deepEqual(events, [['add', entity], ['remove', entity, 7], ['destroyed', entity]]);
+});
+
+test('command buffers defer structural changes until flushed', () => {
+    const world = new World();
+    const doomed = spawn(world, { Health: { value: 0 } });
+    const commands = new CommandBuffer();
+
+    for (const entity of world.query('Health')) {
+        commands.despawn(entity.id);
+        commands.spawn({ Health: { value: 100 } });
+    }
+    assert.equal(world.isAlive(doomed), true);
+    assert.equal(commands.size, 2);
+
+    commands.flush(world);
+    assert.equal(world.isAlive(doomed), false);
+    assert.deepEqual(world.query('Health').map(entity => entity.Health.value), [100]);
+    assert.equal(commands.isEmpty(), true);
+});
+
+test('recycled entity slots get a new generation', () => {
+    const world = new World();
+    const first = world.createEntity();
+    world.destroyEntity(first);
+    const second = world.createEntity();
+
+    assert.equal(entityIndex(second), entityIndex(first));
+    assert.equal(entityGeneration(second), entityGeneration(first) + 1);
+    assert.equal(world.isAlive(first), false);
+    assert.equal(world.isAlive(second), true);
+    assert.throws(() => world.addComponent(first, 'Health', {}), /stale/);
+});
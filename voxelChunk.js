@@ -1,18 +1,25 @@
 import * as THREE from 'https://esm.sh/three@0.155.0';
 import { createNoise2D, createNoise3D } from 'https://esm.sh/simplex-noise@4.0.1';
+import { Random, hashRandom } from './src/utils/Random.js';
 
 
 export class VoxelChunk {
-  constructor(size = 16, maxHeight = 8, elevationService = null, chunkX = 0, chunkZ = 0) {
+  constructor(size = 16, maxHeight = 8, elevationService = null, chunkX = 0, chunkZ = 0, seed = 0) {
     this.size = size;
     this.maxHeight = maxHeight;
     this.chunkX = chunkX;
     this.chunkZ = chunkZ;
     this.elevationService = elevationService;
-    this.noise = createNoise2D();
-    this.caveNoise = createNoise3D();
-    // 1D array: x + y*size + z*size*size
+    // Every chunk with the same seed samples the same noise field, so terrain
+    // is reproducible and continuous across chunk borders
+    this.seed = seed;
+    const random = new Random(seed);
+    this.noise = createNoise2D(() => random.next());
+    this.caveNoise = createNoise3D(() => random.next());
+    // 1D array: x + z*size + y*size*size (y outermost, so maxHeight may exceed size)
     this.data = new Uint8Array(size * maxHeight * size);
+    // Bumped by setBlock; PhysicsSystem rebuilds the chunk's collision when it changes
+    this.version = 0;
     this.mesh = null;
     this.material = new THREE.MeshLambertMaterial({ vertexColors: true });
     this._initTerrain();
@@ -87,7 +94,8 @@ export class VoxelChunk {
   }
 
   setBlock(x, y, z, id) {
-    this.data[x + (y * this.size) + (z * this.size * this.size)] = id;
+    this.data[x + (z * this.size) + (y * this.size * this.size)] = id;
+    this.version++;
   }
 
   getBlock(x, y, z) {
@@ -96,7 +104,7 @@ export class VoxelChunk {
       y < 0 || y >= this.maxHeight ||
       z < 0 || z >= this.size
     ) return 0;
-    return this.data[x + (y * this.size) + (z * this.size * this.size)];
+    return this.data[x + (z * this.size) + (y * this.size * this.size)];
   }
 
   buildMesh() {
@@ -140,31 +148,39 @@ export class VoxelChunk {
               
               const isInCave = surroundingBlocks < 4; // Less than 4 neighbors = likely cave wall
               
+              // Color variation hashed from the face's world position, so rebuilding
+              // a chunk (e.g. after setBlock) gives the same colors
+              const variation = hashRandom(
+                this.seed,
+                this.chunkX * this.size + x, y, this.chunkZ * this.size + z,
+                f.dir[0] + f.dir[1] * 2 + f.dir[2] * 3
+              );
+              
               if (isInCave) {
                 // Cave walls - darker stone colors
-                hue = 0.05 + Math.random() * 0.05; // Brown-gray
+                hue = 0.05 + variation * 0.05; // Brown-gray
                 saturation = 0.2;
-                lightness = 0.2 + Math.random() * 0.2;
+                lightness = 0.2 + variation * 0.2;
               } else if (heightRatio < 0.2) {
                 // Low areas - water/grass (blue-green)
-                hue = 0.45 + Math.random() * 0.1;
+                hue = 0.45 + variation * 0.1;
                 saturation = 0.7;
                 lightness = 0.4 + heightRatio * 0.3;
               } else if (heightRatio < 0.6) {
                 // Mid areas - forest/grass (green)
-                hue = 0.25 + Math.random() * 0.15;
+                hue = 0.25 + variation * 0.15;
                 saturation = 0.6;
                 lightness = 0.3 + heightRatio * 0.4;
               } else if (heightRatio < 0.8) {
                 // High areas - rock/stone (brown-gray)
-                hue = 0.1 + Math.random() * 0.1;
+                hue = 0.1 + variation * 0.1;
                 saturation = 0.3;
                 lightness = 0.3 + heightRatio * 0.3;
               } else {
                 // Very high - snow/ice (white)
                 hue = 0.6;
                 saturation = 0.1;
-                lightness = 0.8 + Math.random() * 0.2;
+                lightness = 0.8 + variation * 0.2;
               }
               
               // Adjust lightness based on face direction (lighting effect)